@@ -2,18 +2,33 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const cheerio = require('cheerio');
+const { createProvider, groupProviders, getErrorMessage, toLLMError } = require('../common/llm-providers');
+const RateLimiter = require('../common/rate-limiter');
+const UsageLog = require('../common/usage-log');
+const CacheStore = require('../common/cache-store');
+const MessageDelivery = require('../common/message-delivery');
+const toolRegistry = require('../common/tool-registry');
+const { LOADERS, parseModPage, isModPageUrl, normalizeLoader } = require('./mod-page-parser');
+const { parseItemRecipes } = require('./recipe-parser');
 
 class DeepSeekPlugin {
     constructor(client) {
         this.client = client;
         this.name = 'DeepSeek对话插件mod';
         this.description = '基于DeepSeek API的智能对话插件，输入mod+内容来对话';
-        this.apiKey = 'sk-';
-        this.apiUrl = 'https://api.deepseek.com/v1';
-        this.model = 'deepseek-chat';
         this.temperature = 0.7;
         this.maxTokens = 2000;
         
+        // 模型提供方配置，type 可选 openai、ollama、echo；可选 timeoutMs、maxRetries、circuitThreshold、circuitCooldownMs
+        // price 为估算费用用的价格，单位为 元/百万token
+        this.providers = {
+            deepseek: { type: 'openai', baseUrl: 'https://api.deepseek.com/v1', apiKey: 'sk-', model: 'deepseek-chat', price: { prompt: 2, completion: 8 } },
+            ollama: { type: 'ollama', baseUrl: 'http://127.0.0.1:11434', model: 'qwen2.5' },
+            echo: { type: 'echo' }
+        };
+        this.defaultProvider = 'deepseek';
+        this.providerInstances = {};
+        
         // 上下文存储
         this.contexts = new Map();
         this.maxContext = 5;
@@ -30,6 +45,7 @@ class DeepSeekPlugin {
         this.modAliasesPath = path.join(__dirname, 'mod_aliases.json');
         this.recipesPath = path.join(__dirname, 'recipes.json');
         this.cachePath = path.join(__dirname, 'mod_cache.json');
+        this.legacyGroupProvidersPath = path.join(__dirname, 'group_providers.json'); // 旧版单独保存的群组提供方设置，加载时迁移
         
         // 默认数据
         this.blacklist = { users: [], groups: [] };
@@ -39,17 +55,77 @@ class DeepSeekPlugin {
             "bot": "植物魔法", "thaum": "神秘时代", "tcon": "匠魂", "ae": "应用能源"
         };
         this.recipes = {};
-        this.cache = {};
-        this.cacheExpiry = 24 * 60 * 60 * 1000;
+        
+        // 缓存：搜索结果变化较快，有效期比页面短；总大小超过上限时淘汰最久未使用的条目，修改合并后延迟写文件
+        this.cache = new CacheStore(this.name, this.cachePath, {
+            maxBytes: 20 * 1024 * 1024,
+            ttls: {
+                search: 6 * 60 * 60 * 1000,
+                page: 24 * 60 * 60 * 1000,
+                mod: 24 * 60 * 60 * 1000,
+                recipe: 24 * 60 * 60 * 1000,
+                modcheck: 6 * 60 * 60 * 1000
+            }
+        });
+        
+        // mods 搜索结果分页，每个用户保留最近一次搜索，用于翻页和 mods #序号 查看详情
+        this.searchPageSize = 5;
+        this.searchSessionExpiry = 5 * 60 * 1000;
+        this.searchSessions = new Map(); // 用户ID -> { query, results, page, timestamp }
+        this.searchCategories = {
+            class: '模组', modpack: '整合包', item: '物品', post: '教程', author: '作者', server: '服务器'
+        };
+        
+        // recipe 命令每次最多显示的合成表数量
+        this.recipeMaxShown = 2;
+        
+        // modcheck 命令每次最多检查的模组数量
+        this.modcheckMaxMods = 10;
+        
+        // 频率限制与每日额度（管理员不受限制）
+        this.rateLimiter = new RateLimiter(this.name, path.join(__dirname, 'quota.json'));
+        
+        // 用量统计（每次调用模型追加一行记录，modadmin stats 查看报告）
+        this.usageLog = new UsageLog(this.name, path.join(__dirname, 'usage_log.jsonl'));
+        
+        // 回复发送方式：按句子切分发送，超过3条时改为合并转发
+        this.delivery = new MessageDelivery(client, { name: this.name, strategy: 'split', splitMaxChars: 200, splitMaxMessages: 3 });
 
         console.log(`[${this.name}] 插件已加载`);
     }
 
     async init() {
         await this.loadData();
+        this.rateLimiter.load();
+        
+        // 注册AI助手可调用的工具
+        toolRegistry.register({
+            name: 'search_mod',
+            description: '在MC百科(mcmod.cn)搜索Minecraft模组或物品，返回相关页面的资料',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: '要搜索的模组名、物品名或问题关键词' }
+                },
+                required: ['query']
+            },
+            owner: this.name,
+            handler: async (args) => {
+                if (!args.query) throw new Error('缺少搜索关键词');
+                return this.searchAndScrape(String(args.query));
+            }
+        });
+        
         console.log(`[${this.name}] 插件初始化完成`);
     }
     
+    async destroy() {
+        toolRegistry.unregisterOwner(this.name);
+        this.cache.flush();
+        this.rateLimiter.flush();
+        console.log(`[${this.name}] 插件已卸载`);
+    }
+    
     async loadData() {
         try {
             // 加载黑名单
@@ -73,13 +149,15 @@ class DeepSeekPlugin {
                 await this.saveData('recipes');
             }
             
-            // 加载缓存
-            if (fs.existsSync(this.cachePath)) {
-                this.cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
-                this.cleanExpiredCache();
-            } else {
-                await this.saveData('cache');
+            // 加载各插件共用的群组提供方设置，迁移旧版单独保存的设置后把旧文件改名留作备份
+            groupProviders.load();
+            if (fs.existsSync(this.legacyGroupProvidersPath)) {
+                groupProviders.importLegacy(this.name, JSON.parse(fs.readFileSync(this.legacyGroupProvidersPath, 'utf8')));
+                fs.renameSync(this.legacyGroupProvidersPath, `${this.legacyGroupProvidersPath}.bak`);
             }
+            
+            // 加载缓存
+            this.cache.load();
         } catch (error) {
             console.error(`[${this.name}] 加载数据失败:`, error);
         }
@@ -90,14 +168,12 @@ class DeepSeekPlugin {
             const pathMap = {
                 blacklist: this.blacklistPath,
                 modAliases: this.modAliasesPath,
-                recipes: this.recipesPath,
-                cache: this.cachePath
+                recipes: this.recipesPath
             };
             const dataMap = {
                 blacklist: this.blacklist,
                 modAliases: this.modAliases,
-                recipes: this.recipes,
-                cache: this.cache
+                recipes: this.recipes
             };
             
             fs.writeFileSync(pathMap[type], JSON.stringify(dataMap[type], null, 2), 'utf8');
@@ -107,21 +183,6 @@ class DeepSeekPlugin {
         }
     }
     
-    cleanExpiredCache() {
-        const now = Date.now();
-        let expiredCount = 0;
-        for (const key in this.cache) {
-            if (now - this.cache[key].timestamp > this.cacheExpiry) {
-                delete this.cache[key];
-                expiredCount++;
-            }
-        }
-        if (expiredCount > 0) {
-            console.log(`[${this.name}] 清理了 ${expiredCount} 个过期缓存项`);
-            this.saveData('cache');
-        }
-    }
-    
     // 权限检查方法
     isUserBlacklisted(userId) { return this.blacklist.users.includes(userId.toString()); }
     isGroupBlacklisted(groupId) { return this.blacklist.groups.includes(groupId.toString()); }
@@ -167,6 +228,22 @@ class DeepSeekPlugin {
         
         // 缓存管理
         if (action === 'clearcache') return await this.handleClearCache();
+        if (action === 'cachestats') {
+            if (parts[1] === 'reset') {
+                this.cache.resetStats();
+                return '缓存统计已清零';
+            }
+            return this.cache.formatStats();
+        }
+        
+        // 额度管理
+        if (action === 'quota') return this.rateLimiter.handleCommand(parts.slice(1).filter(Boolean));
+        
+        // 用量统计
+        if (action === 'stats') return this.usageLog.handleCommand(parts.slice(1).filter(Boolean));
+        
+        // 模型提供方管理
+        if (action === 'provider') return await this.handleProviderCommand(parts.slice(1).filter(Boolean), groupId);
         
         return "未知命令，请输入 modadmin help 查看可用命令";
     }
@@ -261,15 +338,46 @@ class DeepSeekPlugin {
     
     // 缓存方法
     async handleClearCache() {
-        this.cache = {};
-        await this.saveData('cache');
-        return `已清除所有缓存`;
+        const count = this.cache.clear();
+        return `已清除所有缓存（${count} 项）`;
+    }
+    
+    // 模型提供方方法
+    getProvider(providerName) {
+        if (!this.providerInstances[providerName]) {
+            this.providerInstances[providerName] = createProvider(providerName, this.providers[providerName]);
+        }
+        return this.providerInstances[providerName];
+    }
+    
+    // 按各插件共用的群组设置选择提供方，本插件没有配置该提供方时使用默认提供方
+    resolveProvider(groupId) {
+        const { providerName, model } = groupProviders.resolve(groupId, this.providers, this.defaultProvider);
+        const provider = this.getProvider(providerName);
+        return { provider, model: model || provider.model };
+    }
+    
+    async handleProviderCommand(args, groupId) {
+        if (!groupId) return '请在群聊中使用此命令';
+        const available = Object.keys(this.providers).join(', ');
+        if (args.length === 0) {
+            const { provider, model } = this.resolveProvider(groupId);
+            return `本群当前使用: ${provider.name} (${model})\n可用提供方: ${available}`;
+        }
+        if (args[0] === 'reset') {
+            groupProviders.reset(groupId);
+            return `本群已恢复默认提供方 ${this.defaultProvider}`;
+        }
+        if (!this.providers[args[0]]) return `未知的提供方 ${args[0]}，可用提供方: ${available}`;
+        groupProviders.set(groupId, args[0], args[1]);
+        const { model } = this.resolveProvider(groupId);
+        return `本群已切换到 ${args[0]} (${model})`;
     }
     
     // 帮助信息
     getHelpMessage(userId) {
         let helpMsg = "=== MOD插件帮助 ===\n普通用户命令:\n";
-        helpMsg += "mod <内容> - 查询MOD相关信息\nmods <内容> - 在mcmod.cn搜索MOD信息\nmod help - 显示此帮助信息\n";
+        helpMsg += "mod <内容> - 查询MOD相关信息\nmods <内容> [p页码] - 在mcmod.cn搜索，列出多条结果\nmods #序号 - 查看上一次搜索结果的详情\nrecipe <物品名> - 查询物品的合成表\nmodcheck <MOD1> <MOD2> ... @<版本> [加载器] - 检查模组是否支持该版本，以及缺少的前置和冲突\nmod help - 显示此帮助信息\n";
         
         if (this.isMaster(userId)) {
             helpMsg += "\n管理员命令:\n";
@@ -285,6 +393,10 @@ class DeepSeekPlugin {
             helpMsg += "modadmin removerecipe <物品名> - 移除特殊配方\n";
             helpMsg += "modadmin listrecipes - 列出所有特殊配方\n";
             helpMsg += "modadmin clearcache - 清除缓存\n";
+            helpMsg += "modadmin cachestats [reset] - 查看缓存大小和命中率\n";
+            helpMsg += "modadmin provider [名称 [模型]|reset] - 查看或切换本群使用的AI模型\n";
+            helpMsg += "modadmin quota [set|user|group|reset ...] - 查看或调整频率限制和每日额度\n";
+            helpMsg += "modadmin stats [day|week|month] - 查看AI调用次数、token用量、估算费用和失败率\n";
             
             if (this.isOwner(userId)) {
                 helpMsg += "\n拥有者命令:\n";
@@ -306,9 +418,8 @@ class DeepSeekPlugin {
 
     async searchMcMod(keyword) {
         const cacheKey = `search_${keyword.toLowerCase()}`;
-        if (this.cache[cacheKey] && Date.now() - this.cache[cacheKey].timestamp < this.cacheExpiry) {
-            return this.cache[cacheKey].data;
-        }
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
         
         try {
             const searchUrl = `https://search.mcmod.cn/s?key=${encodeURIComponent(keyword)}`;
@@ -316,8 +427,7 @@ class DeepSeekPlugin {
                 headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
             });
             
-            this.cache[cacheKey] = { data: response.data, timestamp: Date.now() };
-            await this.saveData('cache');
+            this.cache.set(cacheKey, response.data);
             
             return response.data;
         } catch (error) {
@@ -326,29 +436,122 @@ class DeepSeekPlugin {
         }
     }
 
-    extractMostRelevantResult(html) {
+    // 解析搜索结果列表，分类根据链接路径判断（/class/ 为模组，/item/ 为物品等）
+    parseSearchResults(html) {
         try {
             const $ = cheerio.load(html);
-            const firstResult = $('.result-item').first();
-            if (firstResult.length) {
+            return $('.result-item').toArray().map(element => {
+                const item = $(element);
+                const href = item.find('.head a').attr('href') || item.find('a').attr('href') || '';
+                const url = /^https?:/.test(href) ? href : href.startsWith('//') ? `https:${href}` : `https://www.mcmod.cn${href}`;
+                const type = (/mcmod\.cn\/([a-z]+)\//.exec(url) || [])[1];
                 return {
-                    url: `https://www.mcmod.cn${firstResult.find('a').attr('href')}`,
-                    title: firstResult.find('.head').text().trim(),
-                    description: firstResult.find('.body').text().trim().replace(/\s+/g, ' ')
+                    url,
+                    title: item.find('.head').text().trim().replace(/\s+/g, ' '),
+                    category: this.searchCategories[type] || '其他',
+                    description: item.find('.body').text().trim().replace(/\s+/g, ' ')
                 };
-            }
-            return null;
+            }).filter(result => result.title && result.url);
         } catch (error) {
             console.error(`[${this.name}] 解析搜索结果失败:`, error);
-            return null;
+            return [];
         }
     }
 
+    extractMostRelevantResult(html) {
+        return this.parseSearchResults(html)[0] || null;
+    }
+    
+    // 获取用户最近一次未过期的搜索
+    getSearchSession(userId) {
+        const session = this.searchSessions.get(userId);
+        if (session && Date.now() - session.timestamp < this.searchSessionExpiry) return session;
+        this.searchSessions.delete(userId);
+        return null;
+    }
+    
+    // 保存用户的搜索，顺便清理过期的记录
+    saveSearchSession(userId, session) {
+        const now = Date.now();
+        for (const [id, item] of this.searchSessions) {
+            if (now - item.timestamp >= this.searchSessionExpiry) this.searchSessions.delete(id);
+        }
+        this.searchSessions.set(userId, { ...session, timestamp: now });
+    }
+    
+    // 生成带序号的搜索结果列表
+    formatSearchPage(session) {
+        const { query, results, page } = session;
+        const totalPages = Math.ceil(results.length / this.searchPageSize);
+        const start = (page - 1) * this.searchPageSize;
+        const lines = results.slice(start, start + this.searchPageSize).map((result, index) => {
+            const description = result.description.length > 60 ? `${result.description.substring(0, 60)}...` : result.description;
+            return `${start + index + 1}. [${result.category}] ${result.title}${description ? `\n   ${description}` : ''}`;
+        });
+        
+        let reply = `"${query}" 的搜索结果（第${page}/${totalPages}页，共${results.length}条）:\n${lines.join('\n')}\n发送 mods #序号 查看详情`;
+        if (page < totalPages) reply += `，mods ${query} p${page + 1} 查看下一页`;
+        return reply;
+    }
+    
+    // 处理mods命令: mods <关键词> [p页码]、mods p页码（翻页）、mods #序号（查看详情）
+    async handleModsCommand(query, userId) {
+        const detailMatch = /^#\s*(\d+)$/.exec(query);
+        if (detailMatch) {
+            const session = this.getSearchSession(userId);
+            if (!session) return '搜索结果已过期，请重新使用 mods <关键词> 搜索';
+            const result = session.results[parseInt(detailMatch[1], 10) - 1];
+            if (!result) return `序号超出范围，共有 ${session.results.length} 条结果`;
+            this.saveSearchSession(userId, session);
+            return await this.formatResultDetail(result);
+        }
+        
+        const pageMatch = /^(.*?)\s*\bp(\d+)$/i.exec(query);
+        const keyword = pageMatch ? pageMatch[1].trim() : query;
+        const page = pageMatch ? parseInt(pageMatch[2], 10) : 1;
+        
+        // 只写页码时翻看上一次的搜索
+        let session = null;
+        if (!keyword) {
+            session = this.getSearchSession(userId);
+            if (!session) return '没有可以翻页的搜索，请先使用 mods <关键词> 搜索';
+        } else {
+            const previous = this.getSearchSession(userId);
+            if (previous && previous.query === keyword) {
+                session = previous;
+            } else {
+                const searchHtml = await this.searchMcMod(keyword);
+                if (!searchHtml) return '搜索失败，请稍后再试';
+                const results = this.parseSearchResults(searchHtml);
+                if (results.length === 0) return '未找到相关信息';
+                session = { query: keyword, results, page: 1 };
+            }
+        }
+        
+        const totalPages = Math.ceil(session.results.length / this.searchPageSize);
+        if (page < 1 || page > totalPages) return `页码超出范围，共 ${totalPages} 页`;
+        this.saveSearchSession(userId, { ...session, page });
+        return this.formatSearchPage(this.getSearchSession(userId));
+    }
+    
+    // 搜索结果的详情：模组页面显示结构化信息，其他页面显示标题、分类、链接、简介和正文摘要
+    async formatResultDetail(result) {
+        if (isModPageUrl(result.url)) {
+            const detail = await this.fetchModDetail(result.url);
+            if (detail && detail.name) return `[${result.category}] ${this.formatModDetail(detail)}\n页面: ${result.url}`;
+        }
+        
+        let reply = `[${result.category}] ${result.title}\n链接: ${result.url}`;
+        if (result.description) reply += `\n简介: ${result.description}`;
+        const content = await this.scrapePageContent(result.url);
+        if (content) reply += `\n\n${content.length > 300 ? `${content.substring(0, 300)}...` : content}`;
+        return reply;
+    }
+
     async scrapePageContent(url) {
         const cacheKey = `page_${encodeURIComponent(url)}`;
-        if (this.cache[cacheKey] && Date.now() - this.cache[cacheKey].timestamp < this.cacheExpiry) {
-            return this.cache[cacheKey].data;
-        }
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
         
         try {
             const response = await axios.get(url, {
@@ -360,8 +563,7 @@ class DeepSeekPlugin {
             let content = mainContent.length ? mainContent.text() : $('body').text();
             content = content.replace(/\s+/g, ' ').trim().substring(0, 5000);
             
-            this.cache[cacheKey] = { data: content, timestamp: Date.now() };
-            await this.saveData('cache');
+            this.cache.set(cacheKey, content);
             
             return content;
         } catch (error) {
@@ -370,6 +572,234 @@ class DeepSeekPlugin {
         }
     }
 
+    // 获取模组页面的结构化信息（名称、版本、加载器、作者、前置、标签、链接）
+    async fetchModDetail(url) {
+        const cacheKey = `mod_${encodeURIComponent(url)}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+        
+        try {
+            const response = await axios.get(url, {
+                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
+            });
+            
+            const detail = parseModPage(response.data, url);
+            // 没有解析出名称时多半是验证页或访问受限的提示页，不缓存，下次重新获取
+            if (detail.name) {
+                this.cache.set(cacheKey, detail);
+            } else {
+                console.warn(`[${this.name}] 没有从 ${url} 解析出模组信息，不写入缓存`);
+            }
+            
+            return detail;
+        } catch (error) {
+            console.error(`[${this.name}] 获取模组信息失败:`, error);
+            return null;
+        }
+    }
+    
+    formatModDetail(detail) {
+        const lines = [`${detail.name}${detail.englishName ? ` (${detail.englishName})` : ''}${detail.shortName ? ` [${detail.shortName}]` : ''}`];
+        for (const [loader, versions] of Object.entries(detail.versions)) {
+            lines.push(`${loader}: ${versions.join(', ')}`);
+        }
+        if (Object.keys(detail.versions).length === 0 && detail.loaders.length > 0) lines.push(`加载器: ${detail.loaders.join(', ')}`);
+        if (detail.authors.length > 0) lines.push(`作者: ${detail.authors.map(author => author.role ? `${author.name}(${author.role})` : author.name).join(', ')}`);
+        if (detail.dependencies.length > 0) lines.push(`前置: ${detail.dependencies.map(mod => mod.title).join(', ')}`);
+        if (detail.tags.length > 0) lines.push(`标签: ${detail.tags.join(', ')}`);
+        if (detail.links.length > 0) lines.push(`链接:\n${detail.links.map(link => `  ${link.title}: ${link.url}`).join('\n')}`);
+        if (detail.summary) lines.push(`\n${detail.summary}`);
+        return lines.join('\n');
+    }
+
+    // 获取物品页面的合成表
+    async fetchItemRecipes(url) {
+        const cacheKey = `recipe_${encodeURIComponent(url)}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+        
+        try {
+            const response = await axios.get(url, {
+                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
+            });
+            
+            const recipes = parseItemRecipes(response.data);
+            this.cache.set(cacheKey, recipes);
+            
+            return recipes;
+        } catch (error) {
+            console.error(`[${this.name}] 获取合成表失败:`, error);
+            return null;
+        }
+    }
+    
+    // 在搜索结果中找指定类型（item、class 等）的页面，标题中的中文名、英文名或缩写与关键词一致的优先
+    async findSearchResult(keyword, type) {
+        const searchHtml = await this.searchMcMod(keyword);
+        if (!searchHtml) return null;
+        
+        const pattern = new RegExp(`mcmod\\.cn\\/${type}\\/\\d+\\.html`);
+        const results = this.parseSearchResults(searchHtml).filter(result => pattern.test(result.url));
+        const lowerKeyword = keyword.toLowerCase();
+        const titleNames = title => [
+            title.replace(/\[.*?\]|[(（].*?[)）]/g, ''),
+            ...(title.match(/[\[(（](.*?)[\])）]/g) || []).map(part => part.slice(1, -1))
+        ].map(name => name.trim().toLowerCase());
+        return results.find(result => titleNames(result.title).includes(lowerKeyword)) || results[0] || null;
+    }
+    
+    // 把合成表画成文字网格，材料用字母代替，下面列出字母对应的物品
+    formatRecipe(recipe) {
+        const lines = [];
+        if (recipe.machine) lines.push(`设备: ${recipe.machine}`);
+        
+        if (recipe.grid.length > 0) {
+            const symbols = new Map();
+            recipe.grid.flat().filter(Boolean).forEach(name => {
+                if (!symbols.has(name)) symbols.set(name, String.fromCharCode(65 + symbols.size));
+            });
+            lines.push(...recipe.grid.map(row => row.map(name => name ? symbols.get(name) : '.').join(' ')));
+            lines.push(...recipe.inputs.map(stack => `${symbols.get(stack.name) || '-'} = ${stack.name} ×${stack.count}`));
+        } else if (recipe.inputs.length > 0) {
+            lines.push(`材料: ${recipe.inputs.map(stack => `${stack.name} ×${stack.count}`).join(', ')}`);
+        }
+        
+        if (recipe.outputs.length > 0) lines.push(`产物: ${recipe.outputs.map(stack => `${stack.name} ×${stack.count}`).join(', ')}`);
+        if (recipe.notes) lines.push(`备注: ${recipe.notes}`);
+        return lines.join('\n');
+    }
+    
+    // 处理recipe命令：在线查询物品的合成表，查不到时使用 modadmin addrecipe 添加的特殊配方
+    async handleRecipeCommand(itemName) {
+        const manual = this.recipes[itemName] ? `特殊配方信息: ${this.recipes[itemName]}` : null;
+        
+        const item = await this.findSearchResult(itemName, 'item');
+        const recipes = item ? await this.fetchItemRecipes(item.url) : null;
+        if (!recipes || recipes.length === 0) {
+            if (manual) return `${itemName}\n${manual}`;
+            return item ? `没有在 ${item.title} 的页面上找到合成表\n页面: ${item.url}` : `未找到物品 ${itemName}`;
+        }
+        
+        const shown = recipes.slice(0, this.recipeMaxShown).map((recipe, index) => `【合成表 ${index + 1}】\n${this.formatRecipe(recipe)}`);
+        let reply = `${item.title} 的合成表:\n\n${shown.join('\n\n')}`;
+        if (recipes.length > this.recipeMaxShown) reply += `\n\n还有 ${recipes.length - this.recipeMaxShown} 个合成表未显示`;
+        reply += `\n页面: ${item.url}`;
+        if (manual) reply += `\n\n${manual}`;
+        return reply;
+    }
+
+    // 是否支持目标版本，页面上的 1.20.x 这类写法匹配该系列的所有版本
+    supportsVersion(versions, target) {
+        return versions.some(version => {
+            if (version === target) return true;
+            const wildcard = /^(.*)\.x$/i.exec(version);
+            return !!wildcard && (target === wildcard[1] || target.startsWith(`${wildcard[1]}.`));
+        });
+    }
+    
+    // 检查一个模组对目标版本和加载器的支持情况
+    checkModSupport(detail, version, loader) {
+        const entries = Object.entries(detail.versions).filter(([name]) => !loader || name === loader);
+        if (Object.keys(detail.versions).length === 0) return { status: 'unknown', loaders: [] };
+        const loaders = entries.filter(([, versions]) => this.supportsVersion(versions, version)).map(([name]) => name);
+        return { status: loaders.length > 0 ? 'supported' : 'unsupported', loaders };
+    }
+    
+    // 检查模组列表：版本和加载器支持、缺少的前置、列表中互相冲突的模组
+    async checkMods(names, version, loader) {
+        const mods = [];
+        const notFound = [];
+        for (const name of names) {
+            const result = await this.findSearchResult(this.modAliases[name.toLowerCase()] || name, 'class');
+            const detail = result ? await this.fetchModDetail(result.url) : null;
+            if (detail && detail.name) {
+                if (!mods.some(mod => mod.detail.url === detail.url)) mods.push({ name, detail, ...this.checkModSupport(detail, version, loader) });
+            } else {
+                notFound.push(name);
+            }
+        }
+        
+        const urls = new Set(mods.map(mod => mod.detail.url));
+        const missing = new Map(); // 前置地址 -> { title, requiredBy }
+        const conflicts = [];
+        for (const mod of mods) {
+            for (const dependency of mod.detail.dependencies) {
+                if (urls.has(dependency.url)) continue;
+                if (!missing.has(dependency.url)) missing.set(dependency.url, { title: dependency.title, requiredBy: [] });
+                missing.get(dependency.url).requiredBy.push(mod.detail.name);
+            }
+            // 旧的缓存中没有 incompatibilities
+            for (const other of mod.detail.incompatibilities || []) {
+                const target = mods.find(item => item.detail.url === other.url);
+                if (target && !conflicts.some(pair => pair.includes(mod) && pair.includes(target))) conflicts.push([mod, target]);
+            }
+        }
+        
+        // 没有指定加载器时，找出所有模组都支持的加载器
+        const known = mods.filter(mod => mod.status !== 'unknown');
+        const commonLoaders = loader ? [] : Object.values(LOADERS).filter(name => known.length > 0 && known.every(mod => mod.loaders.includes(name)));
+        return { mods, notFound, missing: [...missing.values()], conflicts, commonLoaders };
+    }
+    
+    // 生成兼容性检查报告
+    formatModCheck(result, version, loader) {
+        const { mods, notFound, missing, conflicts, commonLoaders } = result;
+        const target = loader ? `${version} ${loader}` : version;
+        const lines = [`模组兼容性检查（${target}）:`];
+        
+        for (const mod of mods) {
+            const title = `${mod.detail.name}${mod.detail.englishName ? ` (${mod.detail.englishName})` : ''}`;
+            if (mod.status === 'supported') {
+                lines.push(`✅ ${title}: 支持${loader ? '' : `（${mod.loaders.join(', ')}）`}`);
+            } else if (mod.status === 'unsupported') {
+                const available = Object.entries(mod.detail.versions).map(([name, versions]) => `${name} ${versions.slice(0, 5).join('/')}`).join('；');
+                lines.push(`❌ ${title}: 不支持 ${target}${available ? `\n   支持的版本: ${available}` : ''}`);
+            } else {
+                lines.push(`❓ ${title}: 页面上没有版本信息，请自行确认`);
+            }
+        }
+        if (notFound.length > 0) lines.push(`⚠️ 未找到模组: ${notFound.join(', ')}`);
+        
+        if (!loader && mods.some(mod => mod.status === 'supported')) {
+            lines.push(commonLoaders.length > 0
+                ? `所有模组都支持的加载器: ${commonLoaders.join(', ')}`
+                : '⚠️ 没有一个加载器在该版本同时支持所有模组');
+        }
+        if (missing.length > 0) {
+            lines.push(`缺少的前置:\n${missing.map(item => `  ${item.title}（${item.requiredBy.join(', ')} 需要）`).join('\n')}`);
+        }
+        if (conflicts.length > 0) {
+            lines.push(`已知冲突:\n${conflicts.map(([a, b]) => `  ${a.detail.name} 与 ${b.detail.name}`).join('\n')}`);
+        }
+        if (mods.length > 0 && missing.length === 0 && conflicts.length === 0) lines.push('未发现缺少的前置或已知冲突');
+        return lines.join('\n');
+    }
+    
+    // 处理modcheck命令: modcheck <MOD1> <MOD2> ... @<版本> [加载器]，名称含空格时用逗号分隔
+    async handleModCheckCommand(args) {
+        const match = /^(.+?)\s*@\s*(\d+(?:\.\d+)*)(?:\s+(\S+))?\s*$/.exec(args);
+        if (!match) return '用法: modcheck <MOD1> <MOD2> ... @<版本> [加载器]\n例如: modcheck 钠 锂 @1.20.1 fabric';
+        
+        const [, modText, version, loaderText] = match;
+        const loader = loaderText ? normalizeLoader(loaderText) : '';
+        if (loader && !Object.values(LOADERS).includes(loader)) {
+            return `未知的加载器 ${loaderText}，可选: ${Object.values(LOADERS).join(', ')}`;
+        }
+        
+        const names = [...new Set(modText.split(/[,，、]/.test(modText) ? /\s*[,，、]\s*/ : /\s+/).filter(Boolean))];
+        if (names.length > this.modcheckMaxMods) return `一次最多检查 ${this.modcheckMaxMods} 个模组`;
+        
+        const cacheKey = `modcheck_${encodeURIComponent(`${names.map(name => name.toLowerCase()).sort().join(',')}@${version}@${loader}`)}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+        
+        const result = await this.checkMods(names, version, loader);
+        const report = this.formatModCheck(result, version, loader);
+        // 没有找到任何模组时可能是网络问题，不缓存
+        if (result.mods.length > 0) this.cache.set(cacheKey, report);
+        return report;
+    }
+
     async searchAndScrape(query) {
         // 检查特殊配方
         if (this.recipes[query]) return `特殊配方信息: ${this.recipes[query]}`;
@@ -397,23 +827,36 @@ class DeepSeekPlugin {
         return referenceContent || '无相关资料';
     }
 
-    async callDeepSeekAPI(messages) {
+    async callDeepSeekAPI(messages, groupId, userId) {
+        const { provider, model } = this.resolveProvider(groupId);
+        const startedAt = Date.now();
+        const logEntry = { provider: provider.name, model, userId, groupId, price: this.providers[provider.name].price };
         try {
-            const response = await axios.post(`${this.apiUrl}/chat/completions`, {
-                model: this.model,
-                messages: messages,
+            const { content, usage } = await provider.chat({
+                model,
+                messages,
                 temperature: this.temperature,
-                max_tokens: this.maxTokens
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                maxTokens: this.maxTokens
             });
-            return response.data.choices[0].message.content;
+            // 接口未返回用量时按字数估算，与对话插件使用同一个估算方法
+            const tokens = UsageLog.countTokens(usage, messages, content);
+            if (userId) this.rateLimiter.addTokens(userId, groupId, tokens.totalTokens);
+            this.usageLog.record({
+                ...logEntry,
+                promptTokens: tokens.promptTokens,
+                completionTokens: tokens.completionTokens,
+                estimated: tokens.estimated,
+                latencyMs: Date.now() - startedAt
+            });
+            return content;
         } catch (error) {
             console.error(`[${this.name}] 调用DeepSeek API失败:`, error);
-            return '抱歉，AI服务暂时不可用，请稍后再试。';
+            this.usageLog.record({
+                ...logEntry,
+                latencyMs: Date.now() - startedAt,
+                error: toLLMError(error).code
+            });
+            return getErrorMessage(error);
         }
     }
 
@@ -443,6 +886,39 @@ class DeepSeekPlugin {
                 return true;
             }
             
+            // 处理模组兼容性检查命令
+            if (typeof content === 'string' && /^modcheck(\s|$)/i.test(content)) {
+                if (this.isGroupBlacklisted(groupId) || this.isUserBlacklisted(userId)) {
+                    console.log(`[${this.name}] 群组或用户被黑名单阻止`);
+                    return false;
+                }
+                
+                const reply = await this.handleModCheckCommand(content.substring(8).trim());
+                await this.delivery.deliver(message, reply, { senderName: 'MC百科助手', strategy: 'auto' });
+                return true;
+            }
+            
+            // 处理合成表查询命令
+            if (typeof content === 'string' && /^recipe(\s|$)/i.test(content)) {
+                if (this.isGroupBlacklisted(groupId) || this.isUserBlacklisted(userId)) {
+                    console.log(`[${this.name}] 群组或用户被黑名单阻止`);
+                    return false;
+                }
+                
+                const itemName = content.substring(6).trim();
+                if (!itemName) {
+                    await this.client.callApi('send_group_msg', { 
+                        group_id: groupId, 
+                        message: '请在recipe后面输入要查询的物品名' 
+                    });
+                    return true;
+                }
+                
+                const reply = await this.handleRecipeCommand(itemName);
+                await this.delivery.deliver(message, reply, { senderName: 'MC百科助手', strategy: 'auto' });
+                return true;
+            }
+            
             // 处理MOD查询命令
             if (typeof content === 'string' && (content.toLowerCase().startsWith('mod ') || content.toLowerCase().startsWith('mods '))) {
                 if (this.isGroupBlacklisted(groupId) || this.isUserBlacklisted(userId)) {
@@ -461,34 +937,26 @@ class DeepSeekPlugin {
                     return true;
                 }
 
-                // 处理mods命令（直接搜索）
+                // 处理mods命令（直接搜索，列出多条结果，可翻页和查看详情）
                 if (isModsCommand) {
-                    const searchHtml = await this.searchMcMod(query);
-                    if (!searchHtml) {
-                        await this.client.callApi('send_group_msg', { 
-                            group_id: groupId, 
-                            message: '搜索失败，请稍后再试' 
-                        });
-                        return true;
-                    }
-                    
-                    const result = this.extractMostRelevantResult(searchHtml);
-                    if (!result) {
-                        await this.client.callApi('send_group_msg', { 
-                            group_id: groupId, 
-                            message: '未找到相关信息' 
+                    const reply = await this.handleModsCommand(query, userId);
+                    await this.delivery.deliver(message, reply, { senderName: 'MC百科助手', strategy: 'auto' });
+                    return true;
+                }
+
+                // 处理mod命令（AI回答），检查频率限制和每日额度
+                if (!this.isMaster(userId)) {
+                    const limit = this.rateLimiter.check(userId, groupId);
+                    if (!limit.allowed) {
+                        await this.client.callApi('send_group_msg', {
+                            group_id: groupId,
+                            message: `[CQ:at,qq=${userId}] ${this.rateLimiter.getLimitMessage(limit)}`
                         });
                         return true;
                     }
-                    
-                    await this.client.callApi('send_group_msg', { 
-                        group_id: groupId, 
-                        message: `搜索结果:\n标题: ${result.title}\n简介: ${result.description}` 
-                    });
-                    return true;
+                    this.rateLimiter.hit(userId, groupId);
                 }
-
-                // 处理mod命令（AI回答）
+                
                 if (!this.contexts.has(groupId)) this.contexts.set(groupId, []);
                 const context = this.contexts.get(groupId);
 
@@ -502,14 +970,11 @@ class DeepSeekPlugin {
                     { role: 'user', content: `参考资料：${referenceContent || "无相关资料"}` }
                 ];
 
-                const reply = await this.callDeepSeekAPI(messages);
+                const reply = await this.callDeepSeekAPI(messages, groupId, userId);
                 context.push({ role: 'assistant', content: reply });
                 if (context.length > this.maxContext) context.shift();
 
-                await this.client.callApi('send_group_msg', { 
-                    group_id: groupId, 
-                    message: reply.substring(0, 200) 
-                });
+                await this.delivery.deliver(message, reply, { senderName: 'MC百科助手' });
                 return true;
             }
             
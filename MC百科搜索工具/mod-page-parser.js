@@ -0,0 +1,230 @@
+/**
+ * MC百科模组页面解析 - 从 https://www.mcmod.cn/class/<编号>.html 中提取结构化信息
+ * 页面结构改版时各字段尽量退回到空值，不抛出异常
+ */
+const cheerio = require('cheerio');
+
+/**
+ * @typedef {Object} ModAuthor
+ * @property {string} name 作者名
+ * @property {string} role 职务，例如 开发者、美术，没有时为空字符串
+ */
+
+/**
+ * @typedef {Object} ModLink
+ * @property {string} title 链接名称，例如 GitHub、CurseForge
+ * @property {string} url 链接地址
+ */
+
+/**
+ * @typedef {Object} ModDetail
+ * @property {string} url 页面地址
+ * @property {string} name 中文名
+ * @property {string} englishName 英文名
+ * @property {string} shortName 缩写
+ * @property {Object<string, Array<string>>} versions 加载器 -> 支持的MC版本，例如 { Forge: ['1.20.1', '1.19.2'] }
+ * @property {Array<string>} mcVersions 所有支持的MC版本（去重，保持页面顺序）
+ * @property {Array<string>} loaders 支持的加载器，例如 ['Forge', 'Fabric']
+ * @property {Array<ModAuthor>} authors 作者
+ * @property {Array<ModLink>} dependencies 前置模组
+ * @property {Array<ModLink>} relations 联动的模组
+ * @property {Array<ModLink>} incompatibilities 已知不兼容的模组
+ * @property {Array<string>} tags 分类和标签
+ * @property {Array<ModLink>} links 相关链接
+ * @property {string} summary 简介（截取开头部分）
+ */
+
+// 页面上的加载器写法 -> 统一名称
+const LOADERS = {
+    forge: 'Forge',
+    neoforge: 'NeoForge',
+    fabric: 'Fabric',
+    quilt: 'Quilt',
+    liteloader: 'LiteLoader',
+    rift: 'Rift'
+};
+
+const SUMMARY_MAX_CHARS = 300;
+
+/**
+ * 清理文本中的多余空白
+ * @param {string} text 文本
+ * @returns {string} 清理后的文本
+ */
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 补全链接地址
+ * @param {string} href 页面中的链接
+ * @returns {string} 完整地址
+ */
+function resolveUrl(href) {
+    if (!href) return '';
+    if (/^https?:/.test(href)) return href;
+    if (href.startsWith('//')) return `https:${href}`;
+    return `https://www.mcmod.cn${href.startsWith('/') ? '' : '/'}${href}`;
+}
+
+/**
+ * 统一加载器名称
+ * @param {string} label 页面上的加载器文字，例如 "Forge:"、"NeoForge："
+ * @returns {string} 统一后的名称，无法识别时返回去掉冒号的原文
+ */
+function normalizeLoader(label) {
+    const name = cleanText(label).replace(/[:：]$/, '').trim();
+    return LOADERS[name.toLowerCase().replace(/\s+/g, '')] || name;
+}
+
+/**
+ * 去重并保持顺序
+ * @param {Array<string>} list 列表
+ * @returns {Array<string>} 去重后的列表
+ */
+function unique(list) {
+    return [...new Set(list.filter(Boolean))];
+}
+
+/**
+ * 解析名称，页面标题栏没有时从 <title>（"中文名 (English) - MC百科|..."）中提取
+ * @param {Function} $ cheerio实例
+ * @returns {{name: string, englishName: string, shortName: string}} 名称
+ */
+function parseNames($) {
+    let name = cleanText($('.class-title h3').first().text());
+    let englishName = cleanText($('.class-title h4').first().text());
+    const shortName = cleanText($('.class-title .short-name').first().text()).replace(/^\[|\]$/g, '');
+
+    if (!name) {
+        const title = cleanText($('title').text()).split(/\s+-\s+MC百科/)[0];
+        const match = /^(.*?)\s*\(([^()]+)\)$/.exec(title);
+        name = match ? match[1] : title;
+        englishName = englishName || (match ? match[2] : '');
+    }
+    return { name, englishName, shortName };
+}
+
+/**
+ * 解析支持的版本，每个 ul 的第一项为加载器，其余为版本号
+ * @param {Function} $ cheerio实例
+ * @returns {Object<string, Array<string>>} 加载器 -> 版本列表
+ */
+function parseVersions($) {
+    const versions = {};
+    $('.mcver ul').each((index, element) => {
+        const items = $(element).children('li').toArray().map(item => cleanText($(item).text()));
+        if (items.length < 2) return;
+        const loader = normalizeLoader(items[0]);
+        versions[loader] = unique([...(versions[loader] || []), ...items.slice(1).filter(version => /^\d+(\.\d+)*[\w.-]*$/.test(version))]);
+    });
+    return versions;
+}
+
+/**
+ * 解析关联模组，legend 匹配关键字的分组（例如"前置"、"联动"）
+ * @param {Function} $ cheerio实例
+ * @param {RegExp} keyword 分组关键字
+ * @returns {Array<ModLink>} 模组列表
+ */
+function parseRelations($, keyword) {
+    const mods = [];
+    $('.class-relation-list fieldset').each((index, element) => {
+        const fieldset = $(element);
+        if (!keyword.test(cleanText(fieldset.find('legend').text()))) return;
+        fieldset.find('li a').each((i, link) => {
+            const title = cleanText($(link).text());
+            const url = resolveUrl($(link).attr('href'));
+            if (title && !mods.some(mod => mod.url === url)) {
+                mods.push({ title, url });
+            }
+        });
+    });
+    return mods;
+}
+
+/**
+ * 解析作者
+ * @param {Function} $ cheerio实例
+ * @returns {Array<ModAuthor>} 作者列表
+ */
+function parseAuthors($) {
+    return $('.author li, .class-author-list li').toArray()
+        .map(element => {
+            const item = $(element);
+            const name = cleanText(item.find('.name').first().text()) || cleanText(item.find('a').first().text());
+            return { name, role: cleanText(item.find('.position').first().text()) };
+        })
+        .filter((author, index, list) => author.name && list.findIndex(other => other.name === author.name) === index);
+}
+
+/**
+ * 解析相关链接
+ * @param {Function} $ cheerio实例
+ * @returns {Array<ModLink>} 链接列表
+ */
+function parseLinks($) {
+    return $('.common-link-frame li a').toArray()
+        .map(element => {
+            const link = $(element);
+            const title = link.attr('data-original-title') || link.attr('title') || cleanText(link.text());
+            return { title: cleanText(title), url: resolveUrl(link.attr('href')) };
+        })
+        .filter(link => link.url);
+}
+
+/**
+ * 解析模组页面
+ * @param {string} html 页面HTML
+ * @param {string} url 页面地址
+ * @returns {ModDetail} 结构化信息
+ */
+function parseModPage(html, url = '') {
+    const $ = cheerio.load(html);
+    const versions = parseVersions($);
+
+    // 版本列表缺失时，从基本信息中找加载器名称
+    let loaders = Object.keys(versions).filter(loader => Object.values(LOADERS).includes(loader));
+    if (loaders.length === 0) {
+        const infoText = cleanText($('.class-info').text()).toLowerCase();
+        loaders = Object.entries(LOADERS)
+            .filter(([key]) => new RegExp(`(^|[^a-z])${key}([^a-z]|$)`).test(infoText))
+            .map(([, name]) => name);
+    }
+
+    const summary = cleanText($('.common-text').first().text());
+
+    return {
+        url,
+        ...parseNames($),
+        versions,
+        mcVersions: unique(Object.values(versions).flat()),
+        loaders,
+        authors: parseAuthors($),
+        dependencies: parseRelations($, /前置/),
+        relations: parseRelations($, /联动/),
+        incompatibilities: parseRelations($, /冲突|不兼容/),
+        tags: unique([
+            ...$('.common-class-category li a').toArray().map(element => cleanText($(element).text())),
+            ...$('.class-label-list a').toArray().map(element => cleanText($(element).text()))
+        ]),
+        links: parseLinks($),
+        summary: summary.length > SUMMARY_MAX_CHARS ? `${summary.substring(0, SUMMARY_MAX_CHARS)}...` : summary
+    };
+}
+
+/**
+ * 是否为模组页面地址
+ * @param {string} url 页面地址
+ * @returns {boolean} 是否为 /class/ 页面
+ */
+function isModPageUrl(url) {
+    return /mcmod\.cn\/class\/\d+\.html/.test(url || '');
+}
+
+module.exports = {
+    LOADERS,
+    parseModPage,
+    isModPageUrl,
+    normalizeLoader
+};
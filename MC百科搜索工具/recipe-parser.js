@@ -0,0 +1,198 @@
+/**
+ * MC百科物品合成表解析 - 从 https://www.mcmod.cn/item/<编号>.html 中提取合成表
+ * 合成界面中的每个格子是带 left/top 定位的元素，按坐标还原成网格；
+ * 页面标明的产物格子或右侧与材料区隔开的格子视为产物。页面结构改版时返回空数组，不抛出异常
+ */
+const cheerio = require('cheerio');
+
+/**
+ * @typedef {Object} RecipeStack
+ * @property {string} name 物品名
+ * @property {number} count 数量
+ */
+
+/**
+ * @typedef {Object} Recipe
+ * @property {string} machine 使用的设备，例如 工作台、熔炉，未知时为空字符串
+ * @property {Array<Array<string|null>>} grid 材料网格，空格子为 null；只有一种材料格子或无法还原位置时为空数组
+ * @property {Array<RecipeStack>} inputs 材料统计（同名材料合并）
+ * @property {Array<RecipeStack>} outputs 产物
+ * @property {string} notes 备注文字
+ */
+
+/**
+ * 清理文本中的多余空白
+ * @param {string} text 文本
+ * @returns {string} 清理后的文本
+ */
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 读取格子中的物品
+ * @param {Function} $ cheerio实例
+ * @param {Object} slot 格子元素
+ * @returns {{name: string, count: number, left: number|null, top: number|null, output: boolean}|null} 格子信息，空格子返回空
+ */
+function readSlot($, slot) {
+    const element = $(slot);
+    const image = element.find('img').first();
+    const link = element.find('a').first();
+    const name = cleanText(image.attr('alt') || link.attr('data-original-title') || link.attr('title') || link.text());
+    if (!name) return null;
+
+    const style = element.attr('style') || '';
+    const left = /left:\s*(-?[\d.]+)px/.exec(style);
+    const top = /top:\s*(-?[\d.]+)px/.exec(style);
+    const count = parseInt(cleanText(element.find('.item-table-count').text()).replace(/^[x×*]/i, ''), 10);
+    const classes = `${element.attr('class') || ''} ${element.parent().attr('class') || ''}`;
+
+    return {
+        name,
+        count: count > 0 ? count : 1,
+        left: left ? parseFloat(left[1]) : null,
+        top: top ? parseFloat(top[1]) : null,
+        output: /output|result/i.test(classes)
+    };
+}
+
+/**
+ * 计算格子在一个方向上的坐标间隔
+ * @param {Array<Object>} slots 格子
+ * @param {string} key left/top
+ * @returns {{values: Array<number>, gaps: Array<number>}} 去重排序后的坐标和相邻坐标的间隔
+ */
+function axisGaps(slots, key) {
+    const values = [...new Set(slots.map(slot => slot[key]))].sort((a, b) => a - b);
+    return { values, gaps: values.slice(1).map((value, index) => value - values[index]) };
+}
+
+/**
+ * 区分材料和产物：页面标明的产物优先，其次按横向间隔判断（产物与材料之间隔着箭头，
+ * 格子间距取横纵坐标中最小的间隔）；格子都没有坐标时，格子数为 2x2+1 或 3x3+1 的把最后一个当作产物。
+ * 都判断不出时全部视为材料，例如两个相邻的无序合成材料，不会把其中一个误当作产物
+ * @param {Array<Object>} slots 格子
+ * @returns {{inputs: Array<Object>, outputs: Array<Object>}} 材料和产物
+ */
+function splitOutputs(slots) {
+    if (slots.some(slot => slot.output)) {
+        return { inputs: slots.filter(slot => !slot.output), outputs: slots.filter(slot => slot.output) };
+    }
+
+    const positioned = slots.every(slot => slot.left !== null && slot.top !== null);
+    if (positioned) {
+        const horizontal = axisGaps(slots, 'left');
+        const step = Math.min(...horizontal.gaps, ...axisGaps(slots, 'top').gaps);
+        const splitIndex = horizontal.gaps.findIndex(gap => gap > step * 1.5);
+        if (splitIndex !== -1) {
+            const boundary = horizontal.values[splitIndex + 1];
+            return {
+                inputs: slots.filter(slot => slot.left < boundary),
+                outputs: slots.filter(slot => slot.left >= boundary)
+            };
+        }
+    } else if ([5, 10].includes(slots.length)) {
+        return { inputs: slots.slice(0, -1), outputs: slots.slice(-1) };
+    }
+    return { inputs: slots, outputs: [] };
+}
+
+/**
+ * 合并同名物品的数量
+ * @param {Array<Object>} slots 格子
+ * @returns {Array<RecipeStack>} 合并后的物品
+ */
+function mergeStacks(slots) {
+    const stacks = [];
+    for (const slot of slots) {
+        const existing = stacks.find(stack => stack.name === slot.name);
+        if (existing) {
+            existing.count += slot.count;
+        } else {
+            stacks.push({ name: slot.name, count: slot.count });
+        }
+    }
+    return stacks;
+}
+
+/**
+ * 按坐标还原材料网格，格子间距取横纵坐标中最小的间隔，空出来的位置保留为空格子
+ * @param {Array<Object>} inputs 材料格子
+ * @returns {Array<Array<string|null>>} 网格，只有一个格子或坐标缺失时为空数组
+ */
+function buildGrid(inputs) {
+    if (inputs.length < 2 || inputs.some(slot => slot.left === null || slot.top === null)) return [];
+
+    const minLeft = Math.min(...inputs.map(slot => slot.left));
+    const minTop = Math.min(...inputs.map(slot => slot.top));
+    const gaps = [...axisGaps(inputs, 'left').gaps, ...axisGaps(inputs, 'top').gaps];
+    const step = gaps.length > 0 ? Math.min(...gaps) : 1;
+
+    const cells = inputs.map(slot => ({
+        name: slot.name,
+        column: Math.round((slot.left - minLeft) / step),
+        row: Math.round((slot.top - minTop) / step)
+    }));
+    // 工作台合成按3x3显示，保留配方的形状
+    const width = Math.max(3, ...cells.map(cell => cell.column + 1));
+    const height = Math.max(3, ...cells.map(cell => cell.row + 1));
+    if (width > 9 || height > 9) return [];
+
+    const grid = Array.from({ length: height }, () => new Array(width).fill(null));
+    for (const cell of cells) {
+        grid[cell.row][cell.column] = cell.name;
+    }
+    return grid;
+}
+
+const MACHINE_PATTERN = /使用(?:设备)?[:：]?\s*([^\s,，;；]+)[,，;；]?/;
+
+/**
+ * 从备注中找出使用的设备
+ * @param {Object} remarks 备注元素
+ * @returns {string} 设备名
+ */
+function findMachine(remarks) {
+    const match = MACHINE_PATTERN.exec(cleanText(remarks.text()));
+    if (match) return match[1];
+    const link = remarks.find('a').first();
+    return /合成|熔炉|台|机/.test(link.text()) ? cleanText(link.text()) : '';
+}
+
+/**
+ * 解析物品页面中的合成表
+ * @param {string} html 页面HTML
+ * @returns {Array<Recipe>} 合成表列表
+ */
+function parseItemRecipes(html) {
+    const $ = cheerio.load(html);
+    const recipes = [];
+
+    $('.item-table-block').each((index, block) => {
+        const table = $(block);
+        const slots = table.find('.item-table-gui-slot').toArray()
+            .map(slot => readSlot($, slot))
+            .filter(Boolean);
+        if (slots.length === 0) return;
+
+        const { inputs, outputs } = splitOutputs(slots);
+        const remarks = table.find('.item-table-remarks');
+        // 备注中的设备已经单独列出
+        const notes = cleanText(cleanText(remarks.text()).replace(MACHINE_PATTERN, '')).substring(0, 200);
+
+        recipes.push({
+            machine: findMachine(remarks),
+            grid: buildGrid(inputs),
+            inputs: mergeStacks(inputs),
+            outputs: mergeStacks(outputs),
+            notes
+        });
+    });
+
+    return recipes;
+}
+
+module.exports = {
+    parseItemRecipes
+};
@@ -0,0 +1,293 @@
+/**
+ * 持久化缓存 - 带容量上限和LRU淘汰的键值缓存，保存在一个JSON文件中
+ *   - 按数据序列化后的字节数计算容量，超过上限时淘汰最久未使用的条目
+ *   - 按键的前缀（第一个下划线之前的部分，例如 search_、page_）设置不同的有效期
+ *   - 写入不会立即保存，短时间内的多次修改合并为一次写文件
+ *   - 统计命中、未命中、过期和淘汰次数，按前缀分类
+ *
+ * 文件格式: { 键: { data, timestamp, accessedAt } }，兼容只有 data 和 timestamp 的旧格式
+ */
+const fs = require('fs');
+
+class CacheStore {
+    /**
+     * @param {string} name 日志前缀（一般为插件名）
+     * @param {string} filePath 缓存文件路径
+     * @param {Object} options 配置 { maxBytes, defaultTtl, ttls, flushDelayMs }
+     */
+    constructor(name, filePath, options = {}) {
+        this.name = name;
+        this.filePath = filePath;
+        this.maxBytes = options.maxBytes || 20 * 1024 * 1024;          // 缓存总大小上限
+        this.defaultTtl = options.defaultTtl || 24 * 60 * 60 * 1000;   // 没有单独配置的前缀使用的有效期
+        this.ttls = options.ttls || {};                                // 前缀 -> 有效期
+        this.flushDelayMs = options.flushDelayMs || 10000;             // 修改后延迟多久写文件
+
+        this.entries = new Map(); // 键 -> { data, timestamp, accessedAt, size }，按最近使用的顺序排列
+        this.totalBytes = 0;
+        this.flushTimer = null;
+        this.dirty = false;
+        this.resetStats();
+    }
+
+    /**
+     * 清零统计数据
+     */
+    resetStats() {
+        this.stats = { hits: 0, misses: 0, expired: 0, evictions: 0, writes: 0, flushes: 0, since: Date.now(), types: {} };
+    }
+
+    /**
+     * 获取键的类型（前缀）
+     * @param {string} key 键
+     * @returns {string} 前缀，没有下划线时为 other
+     */
+    getType(key) {
+        const index = key.indexOf('_');
+        return index > 0 ? key.substring(0, index) : 'other';
+    }
+
+    /**
+     * 获取键的有效期
+     * @param {string} key 键
+     * @returns {number} 有效期（毫秒）
+     */
+    getTtl(key) {
+        return this.ttls[this.getType(key)] || this.defaultTtl;
+    }
+
+    /**
+     * 计算条目占用的字节数
+     * @param {string} key 键
+     * @param {*} data 数据
+     * @returns {number} 字节数
+     */
+    measure(key, data) {
+        return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(data === undefined ? null : data));
+    }
+
+    /**
+     * 按类型累加统计
+     * @param {string} key 键
+     * @param {string} field hits/misses
+     */
+    count(key, field) {
+        const type = this.getType(key);
+        const item = this.stats.types[type] || (this.stats.types[type] = { hits: 0, misses: 0 });
+        item[field]++;
+        this.stats[field]++;
+    }
+
+    /**
+     * 加载缓存，丢弃已过期的条目，超出容量时淘汰最久未使用的条目
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const now = Date.now();
+            let expiredCount = 0;
+
+            this.entries.clear();
+            this.totalBytes = 0;
+            Object.entries(data)
+                .sort((a, b) => (a[1].accessedAt || a[1].timestamp) - (b[1].accessedAt || b[1].timestamp))
+                .forEach(([key, entry]) => {
+                    if (!entry || now - entry.timestamp >= this.getTtl(key)) {
+                        expiredCount++;
+                        return;
+                    }
+                    const size = this.measure(key, entry.data);
+                    this.entries.set(key, { data: entry.data, timestamp: entry.timestamp, accessedAt: entry.accessedAt || entry.timestamp, size });
+                    this.totalBytes += size;
+                });
+
+            const evicted = this.evict();
+            console.log(`[${this.name}] 缓存加载成功，共 ${this.entries.size} 项（${this.formatBytes(this.totalBytes)}）`);
+            if (expiredCount > 0 || evicted > 0) {
+                console.log(`[${this.name}] 清理了 ${expiredCount} 个过期缓存项，淘汰了 ${evicted} 个超出容量的缓存项`);
+                this.scheduleFlush();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载缓存失败:`, error);
+        }
+    }
+
+    /**
+     * 读取缓存，命中时把条目移到最近使用的位置
+     * @param {string} key 键
+     * @returns {*} 数据，未命中或已过期时为 undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.count(key, 'misses');
+            return undefined;
+        }
+        if (Date.now() - entry.timestamp >= this.getTtl(key)) {
+            this.delete(key);
+            this.stats.expired++;
+            this.count(key, 'misses');
+            return undefined;
+        }
+
+        // 使用顺序只影响淘汰，不单独触发写文件，随下一次保存一起写入
+        this.entries.delete(key);
+        entry.accessedAt = Date.now();
+        this.entries.set(key, entry);
+        this.count(key, 'hits');
+        return entry.data;
+    }
+
+    /**
+     * 写入缓存，超出容量时淘汰最久未使用的条目
+     * @param {string} key 键
+     * @param {*} data 数据，需要能序列化为JSON
+     * @returns {boolean} 是否写入，单个条目超过容量上限时不写入
+     */
+    set(key, data) {
+        const size = this.measure(key, data);
+        if (size > this.maxBytes) {
+            console.warn(`[${this.name}] 缓存项 ${key} 大小 ${this.formatBytes(size)} 超过容量上限，不写入缓存`);
+            return false;
+        }
+
+        this.delete(key);
+        const now = Date.now();
+        this.entries.set(key, { data, timestamp: now, accessedAt: now, size });
+        this.totalBytes += size;
+        this.stats.writes++;
+        this.evict();
+        this.scheduleFlush();
+        return true;
+    }
+
+    /**
+     * 删除缓存
+     * @param {string} key 键
+     * @returns {boolean} 是否存在
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        this.scheduleFlush();
+        return true;
+    }
+
+    /**
+     * 清空缓存并立即保存
+     * @returns {number} 清除的条目数
+     */
+    clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        this.totalBytes = 0;
+        this.dirty = true;
+        this.flush();
+        return count;
+    }
+
+    /**
+     * 淘汰最久未使用的条目，直到总大小不超过上限
+     * @returns {number} 淘汰的条目数
+     */
+    evict() {
+        let evicted = 0;
+        for (const [key, entry] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) break;
+            this.entries.delete(key);
+            this.totalBytes -= entry.size;
+            evicted++;
+        }
+        this.stats.evictions += evicted;
+        return evicted;
+    }
+
+    /**
+     * 安排一次延迟保存，已经安排过时不重复安排
+     */
+    scheduleFlush() {
+        this.dirty = true;
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+        // 不因为等待保存而阻止进程退出
+        if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+
+    /**
+     * 立即保存缓存，按最近使用的顺序写入
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.dirty && fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = {};
+            for (const [key, entry] of this.entries) {
+                data[key] = { data: entry.data, timestamp: entry.timestamp, accessedAt: entry.accessedAt };
+            }
+            fs.writeFileSync(this.filePath, JSON.stringify(data), 'utf8');
+            this.dirty = false;
+            this.stats.flushes++;
+        } catch (error) {
+            console.error(`[${this.name}] 保存缓存失败:`, error);
+        }
+    }
+
+    /**
+     * 格式化字节数
+     * @param {number} bytes 字节数
+     * @returns {string} 例如 1.5MB
+     */
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+        return `${bytes}B`;
+    }
+
+    /**
+     * 格式化命中率
+     * @param {number} hits 命中次数
+     * @param {number} misses 未命中次数
+     * @returns {string} 百分比
+     */
+    formatHitRate(hits, misses) {
+        const total = hits + misses;
+        return total > 0 ? `${(hits / total * 100).toFixed(1)}%` : '0%';
+    }
+
+    /**
+     * 生成缓存统计报告
+     * @returns {string} 报告文本
+     */
+    formatStats() {
+        const { hits, misses, expired, evictions, writes, flushes, since, types } = this.stats;
+        const sizes = {};
+        for (const [key, entry] of this.entries) {
+            const type = this.getType(key);
+            const item = sizes[type] || (sizes[type] = { entries: 0, bytes: 0 });
+            item.entries++;
+            item.bytes += entry.size;
+        }
+
+        const typeLines = [...new Set([...Object.keys(sizes), ...Object.keys(types)])].sort().map(type => {
+            const size = sizes[type] || { entries: 0, bytes: 0 };
+            const count = types[type] || { hits: 0, misses: 0 };
+            return `  ${type}: ${size.entries} 项，${this.formatBytes(size.bytes)}，命中 ${count.hits}/${count.hits + count.misses}（${this.formatHitRate(count.hits, count.misses)}），有效期 ${Math.round(this.getTtl(`${type}_`) / 60000)} 分钟`;
+        });
+
+        let result = `🗄️ 缓存统计（自 ${new Date(since).toLocaleString('zh-CN')} 起）\n`;
+        result += `容量: ${this.entries.size} 项，${this.formatBytes(this.totalBytes)} / ${this.formatBytes(this.maxBytes)}\n`;
+        result += `命中: ${hits} 次，未命中: ${misses} 次，命中率 ${this.formatHitRate(hits, misses)}\n`;
+        result += `过期: ${expired} 次，淘汰: ${evictions} 次，写入: ${writes} 次，保存文件: ${flushes} 次`;
+        if (typeLines.length > 0) result += `\n分类:\n${typeLines.join('\n')}`;
+        return result;
+    }
+}
+
+module.exports = CacheStore;
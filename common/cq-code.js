@@ -0,0 +1,117 @@
+/**
+ * CQ码工具 - 把OneBot的CQ码消息解析为结构化的消息段
+ * 例如 "看看[CQ:image,file=a.jpg,url=https://...]" 会被解析为
+ *   [{ type: 'text', data: { text: '看看' } }, { type: 'image', data: { file: 'a.jpg', url: 'https://...' } }]
+ */
+
+// 文本模型看不到的消息段统一替换为占位符
+const PLACEHOLDERS = {
+    image: '[图片]',
+    face: '[表情]',
+    mface: '[表情]',
+    marketface: '[表情]',
+    record: '[语音]',
+    video: '[视频]',
+    file: '[文件]',
+    forward: '[聊天记录]',
+    json: '[卡片消息]',
+    xml: '[卡片消息]',
+    location: '[位置]',
+    music: '[音乐]',
+    share: '[链接]',
+    poke: '[戳一戳]',
+    dice: '[骰子]',
+    rps: '[猜拳]'
+};
+
+/**
+ * 反转义CQ码中的文本
+ * @param {string} text 转义后的文本
+ * @param {boolean} isParam 是否为CQ码参数（参数中逗号也会被转义）
+ * @returns {string} 原始文本
+ */
+function unescapeCQ(text, isParam = false) {
+    let result = text
+        .replace(/&#91;/g, '[')
+        .replace(/&#93;/g, ']');
+    if (isParam) {
+        result = result.replace(/&#44;/g, ',');
+    }
+    return result.replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析CQ码消息
+ * @param {string|Array} message CQ码字符串，或已经是消息段数组
+ * @returns {Array<{type: string, data: Object}>} 消息段数组
+ */
+function parseCQMessage(message) {
+    if (Array.isArray(message)) {
+        return message;
+    }
+
+    const segments = [];
+    const pattern = /\[CQ:([a-zA-Z_]+)((?:,[^\]]*)?)\]/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(message)) !== null) {
+        if (match.index > lastIndex) {
+            segments.push({ type: 'text', data: { text: unescapeCQ(message.substring(lastIndex, match.index)) } });
+        }
+
+        const data = {};
+        for (const pair of match[2].split(',').slice(1)) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) continue;
+            data[pair.substring(0, separator)] = unescapeCQ(pair.substring(separator + 1), true);
+        }
+        segments.push({ type: match[1], data });
+
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < message.length) {
+        segments.push({ type: 'text', data: { text: unescapeCQ(message.substring(lastIndex)) } });
+    }
+
+    return segments;
+}
+
+/**
+ * 把消息段转换为纯文本，非文本消息段替换为占位符
+ * @param {Array<{type: string, data: Object}>} segments 消息段数组
+ * @returns {string} 纯文本
+ */
+function segmentsToText(segments) {
+    return segments.map(segment => {
+        const { type, data } = segment;
+        if (type === 'text') return data.text || '';
+        if (type === 'at') {
+            if (data.qq === 'all') return '@全体成员';
+            return `@${data.name || data.qq}`;
+        }
+        if (type === 'reply') return '';
+        return PLACEHOLDERS[type] || `[${type}]`;
+    }).join('');
+}
+
+/**
+ * 提取消息段中的图片地址
+ * @param {Array<{type: string, data: Object}>} segments 消息段数组
+ * @returns {Array<string>} 图片地址列表
+ */
+function extractImageUrls(segments) {
+    return segments
+        .filter(segment => segment.type === 'image')
+        .map(segment => segment.data.url || segment.data.file)
+        .filter(url => /^(https?:\/\/|data:image\/|base64:\/\/)/.test(url || ''))
+        .map(url => url.startsWith('base64://') ? `data:image/png;base64,${url.substring(9)}` : url);
+}
+
+module.exports = {
+    parseCQMessage,
+    segmentsToText,
+    extractImageUrls,
+    unescapeCQ
+};
@@ -0,0 +1,167 @@
+/**
+ * Cron表达式 - 解析五段式cron表达式（分 时 日 月 周）并计算下一次执行时间，使用本地时区
+ *   - 每段支持 *、数字、范围 a-b、步长 *\/n 或 a-b/n、逗号分隔的列表
+ *   - 月份和星期可以用英文缩写（JAN、MON），星期中0和7都表示周日
+ *   - 日和周都不是 * 时，满足其中一个即可（与标准cron一致）
+ *   - 支持 @yearly、@monthly、@weekly、@daily、@hourly 简写
+ * 例如 "0 8 * * *" 为每天8点，"30 21 * * 5" 为每周五21:30，"0 *\/2 * * *" 为每两小时
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// 各段的取值范围
+const FIELDS = [
+    { key: 'minute', label: '分钟', min: 0, max: 59 },
+    { key: 'hour', label: '小时', min: 0, max: 23 },
+    { key: 'dayOfMonth', label: '日期', min: 1, max: 31 },
+    { key: 'month', label: '月份', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { key: 'dayOfWeek', label: '星期', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// 最多向后查找的年数，超过时认为表达式永远不会触发（例如2月30日）
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * 把一段中的值转换为数字
+ * @param {string} value 数字或英文缩写
+ * @param {Object} field 段定义
+ * @returns {number} 数值
+ */
+function parseValue(value, field) {
+    const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    if (nameIndex !== -1) {
+        return nameIndex + (field.key === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${field.label} ${value} 不是有效的值`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.label}只能在 ${field.min}-${field.max} 之间，${value} 超出范围`);
+    }
+    return number;
+}
+
+/**
+ * 解析一段
+ * @param {string} text 段文本
+ * @param {Object} field 段定义
+ * @returns {{values: Set<number>, any: boolean}} 允许的取值，any 表示该段为 *
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|[^-\/]+(?:-[^-\/]+)?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`${field.label} ${part} 格式不正确`);
+        }
+        const step = match[2] ? parseInt(match[2], 10) : 1;
+        if (step < 1) {
+            throw new Error(`${field.label}的步长必须大于0`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (match[1] !== '*') {
+            const [from, to] = match[1].split('-');
+            start = parseValue(from, field);
+            // a/n 表示从 a 开始到最大值，每隔 n
+            end = to !== undefined ? parseValue(to, field) : (match[2] ? field.max : start);
+            if (start > end) {
+                throw new Error(`${field.label}范围 ${match[1]} 的起点大于终点`);
+            }
+        }
+        for (let value = start; value <= end; value += step) {
+            // 星期中7也表示周日
+            values.add(field.key === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+    return { values, any: text === '*' };
+}
+
+/**
+ * 解析cron表达式
+ * @param {string} expression cron表达式
+ * @returns {Object} 解析结果 { expression, minute, hour, dayOfMonth, month, dayOfWeek }，每段为 { values, any }
+ * @throws {Error} 表达式格式不正确时抛出，message 为中文说明
+ */
+function parseCron(expression) {
+    const normalized = (expression || '').trim().replace(/\s+/g, ' ');
+    const parts = (MACROS[normalized.toLowerCase()] || normalized).split(' ');
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`cron表达式应为5段（分 时 日 月 周），例如 "0 8 * * *"，收到 ${parts.length} 段`);
+    }
+
+    const schedule = { expression: normalized };
+    FIELDS.forEach((field, index) => {
+        schedule[field.key] = parseField(parts[index], field);
+    });
+    return schedule;
+}
+
+/**
+ * 判断某一天是否满足日期和星期条件
+ * @param {Object} schedule 解析结果
+ * @param {Date} date 日期
+ * @returns {boolean} 是否满足
+ */
+function matchesDay(schedule, date) {
+    const { dayOfMonth, dayOfWeek } = schedule;
+    const domMatch = dayOfMonth.values.has(date.getDate());
+    const dowMatch = dayOfWeek.values.has(date.getDay());
+    if (dayOfMonth.any || dayOfWeek.any) {
+        return domMatch && dowMatch;
+    }
+    return domMatch || dowMatch;
+}
+
+/**
+ * 计算下一次执行时间
+ * @param {Object|string} schedule 解析结果或cron表达式
+ * @param {Date|number} from 从这个时间之后开始查找（不含当前分钟）
+ * @returns {Date|null} 下一次执行时间，找不到时为空
+ */
+function getNextRun(schedule, from = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date).setFullYear(date.getFullYear() + MAX_SEARCH_YEARS);
+
+    // 不满足的单位整段跳过：月份不对跳到下个月，日期不对跳到第二天，小时不对跳到下一小时
+    while (date.getTime() < limit) {
+        if (!parsed.month.values.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hour.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minute.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
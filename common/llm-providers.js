@@ -0,0 +1,843 @@
+/**
+ * 大模型服务提供方 - 为各个AI插件提供统一的对话接口
+ * 支持的类型：
+ *   - openai: OpenAI兼容接口（DeepSeek、OpenAI、各类中转服务等）
+ *   - ollama: Ollama风格的本地模型服务
+ *   - echo:   离线回声模型，结果固定，便于测试
+ *
+ * 所有提供方都实现以下方法：
+ *   - chat(options) 返回 { content, usage, toolCalls }
+ *   - chatStream(options, onDelta) 逐段回调生成的文本，返回 { finished, usage, toolCalls }
+ *
+ * 消息格式为 { role, content, images? }，images 为图片地址数组，
+ * 只有配置了 vision: true 的提供方（supportsVision 为 true）才应该传入图片。
+ *
+ * 结构化输出：options.json 为 true 时要求模型只输出一个JSON对象（openai 使用 response_format，ollama 使用 format），
+ * 提示词中仍需说明JSON格式；echo 会忽略该选项。
+ *
+ * 工具调用（supportsTools 为 true 时可用）：
+ *   - options.tools 为 [{ name, description, parameters }]
+ *   - chat() 和 chatStream() 额外返回 toolCalls: [{ id, name, arguments }]，arguments 为解析后的对象；
+ *     流式请求中工具调用的参数是分段到达的，拼接完整后在结束时一并返回
+ *   - 回传时使用 { role: 'assistant', content, toolCalls } 和 { role: 'tool', toolCallId, name, content }
+ *
+ * 容错（createProvider 创建的实例都带有）：
+ *   - timeoutMs: 请求超时，默认60秒
+ *   - streamIdleTimeoutMs: 流式请求超过这个时间没有收到新数据时断开，默认与 timeoutMs 相同
+ *   - 遇到429、5xx、超时和网络错误时按指数退避重试，最多 maxRetries 次（默认2次）
+ *   - 连续失败 circuitThreshold 次（默认5次）后熔断 circuitCooldownMs（默认60秒），期间直接失败
+ *   - 失败时抛出 LLMError，code 区分密钥无效、额度用尽、超时、服务繁忙等情况
+ *
+ * 按群选择提供方：groupProviders 保存“群号 -> { provider, model }”，所有插件通过 require 缓存共享同一个实例，
+ * 在任意插件中切换后各插件都按同一份设置选择提供方；插件没有配置该提供方时使用自己的默认提供方。
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// 错误类型 -> 回复给用户的提示
+const ERROR_MESSAGES = {
+    invalid_key: '抱歉，AI服务的密钥无效，请联系主人检查配置。',
+    quota: '抱歉，AI服务的额度已经用完了，请联系主人充值。',
+    rate_limited: '抱歉，AI服务请求太频繁了，请稍后再试。',
+    timeout: '抱歉，AI服务响应超时了，请稍后再试。',
+    overloaded: '抱歉，AI服务器现在太忙了，请稍后再试。',
+    network: '抱歉，连接不上AI服务，请稍后再试。',
+    circuit_open: '抱歉，AI服务最近连续出错，暂停使用一会儿，请稍后再试。',
+    bad_request: '抱歉，这次请求没能被AI服务接受，换个问法试试吧。',
+    unknown: '抱歉，AI服务暂时不可用，请稍后再试。'
+};
+
+/**
+ * 大模型调用错误
+ */
+class LLMError extends Error {
+    /**
+     * @param {string} code 错误类型，见 ERROR_MESSAGES
+     * @param {string} message 错误详情
+     * @param {Object} extra 附加信息 { status, retryable, retryAfterMs }
+     */
+    constructor(code, message, extra = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.code = code;
+        this.status = extra.status || null;
+        this.retryable = !!extra.retryable;
+        this.retryAfterMs = extra.retryAfterMs || 0;
+    }
+}
+
+/**
+ * 把请求异常转换为 LLMError
+ * @param {Error} error 原始异常
+ * @returns {LLMError} 分类后的错误
+ */
+function toLLMError(error) {
+    if (error instanceof LLMError) return error;
+
+    const response = error.response;
+    if (!response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) {
+            return new LLMError('timeout', error.message, { retryable: true });
+        }
+        if (error.code || error.isAxiosError) {
+            return new LLMError('network', error.message, { retryable: true });
+        }
+        return new LLMError('unknown', error.message);
+    }
+
+    const status = response.status;
+    // 流式请求的响应体是流，读不到错误详情
+    const data = response.data && typeof response.data === 'object' && !response.data.pipe ? response.data : {};
+    const detail = (data.error && (data.error.message || data.error.code)) || data.message || error.message;
+    const errorCode = (data.error && (data.error.code || data.error.type)) || '';
+    const retryAfter = parseInt(response.headers && response.headers['retry-after'], 10);
+    const retryAfterMs = isNaN(retryAfter) ? 0 : retryAfter * 1000;
+
+    if (status === 401 || status === 403) {
+        return new LLMError('invalid_key', detail, { status });
+    }
+    if (status === 402 || /insufficient_quota|insufficient_balance/i.test(errorCode)) {
+        return new LLMError('quota', detail, { status });
+    }
+    if (status === 429) {
+        return new LLMError('rate_limited', detail, { status, retryable: true, retryAfterMs });
+    }
+    if (status >= 500) {
+        return new LLMError(status === 504 ? 'timeout' : 'overloaded', detail, { status, retryable: true, retryAfterMs });
+    }
+    if (status === 400 || status === 404 || status === 422) {
+        return new LLMError('bad_request', detail, { status });
+    }
+    return new LLMError('unknown', detail, { status });
+}
+
+/**
+ * 逐行读取流式响应
+ * axios 的 timeout 只限制等待响应头的时间，这里另外计时：超过 idleTimeoutMs 没有收到数据时销毁连接并抛出超时错误。
+ * 处理一行时（回调中可能在发消息）暂停计时；流结束时最后一行即使没有换行符也会处理
+ * @param {Readable} stream 响应流
+ * @param {number} idleTimeoutMs 无数据超时（毫秒）
+ * @param {Function} onLine 每行的回调 (line) => Promise<void>
+ * @returns {Promise<void>}
+ */
+async function readStreamLines(stream, idleTimeoutMs, onLine) {
+    // 多字节字符可能被拆到两个网络分片里
+    const decoder = new StringDecoder('utf8');
+    let timer = null;
+    const startTimer = () => {
+        timer = setTimeout(() => {
+            stream.destroy(new LLMError('timeout', `流式响应超过 ${idleTimeoutMs}ms 没有新数据`, { retryable: true }));
+        }, idleTimeoutMs);
+    };
+
+    let lineBuffer = '';
+    try {
+        startTimer();
+        for await (const data of stream) {
+            clearTimeout(timer);
+            lineBuffer += decoder.write(data);
+            const lines = lineBuffer.split('\n');
+            lineBuffer = lines.pop();
+            for (const line of lines) {
+                await onLine(line);
+            }
+            startTimer();
+        }
+        clearTimeout(timer);
+        lineBuffer += decoder.end();
+        if (lineBuffer.trim()) {
+            await onLine(lineBuffer);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 获取回复给用户的错误提示
+ * @param {Error} error 调用失败时的异常
+ * @returns {string} 提示语
+ */
+function getErrorMessage(error) {
+    const code = error instanceof LLMError ? error.code : 'unknown';
+    return ERROR_MESSAGES[code] || ERROR_MESSAGES.unknown;
+}
+
+/**
+ * OpenAI兼容接口
+ */
+class OpenAICompatibleProvider {
+    /**
+     * @param {string} name 提供方名称
+     * @param {Object} config 配置 { baseUrl, apiKey, model, vision, timeoutMs, streamIdleTimeoutMs }
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.type = 'openai';
+        this.baseUrl = (config.baseUrl || 'https://api.deepseek.com/v1').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || '';
+        this.timeout = config.timeoutMs || 60000;
+        this.streamIdleTimeout = config.streamIdleTimeoutMs || this.timeout;
+        this.model = config.model || 'deepseek-chat';
+        this.supportsVision = !!config.vision;
+        this.supportsTools = config.tools !== false;
+    }
+
+    /**
+     * 构建请求头
+     * @returns {Object} 请求头
+     */
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * 构建请求体
+     * @param {Object} options 对话参数
+     * @returns {Object} 请求体
+     */
+    buildBody(options) {
+        const messages = options.messages.map(msg => {
+            // 工具调用和工具结果
+            if (msg.toolCalls) {
+                return {
+                    role: 'assistant',
+                    content: msg.content || '',
+                    tool_calls: msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                    }))
+                };
+            }
+            if (msg.role === 'tool') {
+                return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+            }
+
+            // 带图片的消息转换为多段内容
+            if (!msg.images || msg.images.length === 0) {
+                return { role: msg.role, content: msg.content };
+            }
+            return {
+                role: msg.role,
+                content: [
+                    { type: 'text', text: msg.content },
+                    ...msg.images.map(url => ({ type: 'image_url', image_url: { url } }))
+                ]
+            };
+        });
+
+        const body = {
+            model: options.model || this.model,
+            messages,
+            temperature: options.temperature,
+            max_tokens: options.maxTokens
+        };
+
+        if (options.json) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        }
+
+        return body;
+    }
+
+    /**
+     * 转换工具调用，参数为JSON字符串
+     * @param {string} id 调用ID
+     * @param {string} name 工具名
+     * @param {string} rawArguments 参数JSON
+     * @returns {{id: string, name: string, arguments: Object}} 工具调用
+     */
+    parseToolCall(id, name, rawArguments) {
+        let args = {};
+        try {
+            args = JSON.parse(rawArguments || '{}');
+        } catch (parseError) {
+            console.warn(`[${this.name}] 无法解析工具参数: ${rawArguments}`);
+        }
+        return { id, name, arguments: args };
+    }
+
+    /**
+     * 普通对话
+     * @param {Object} options 对话参数 { model, messages, temperature, maxTokens, tools, json }
+     * @returns {Promise<{content: string, usage: Object|null, toolCalls: Array}>} 回复内容、用量和工具调用
+     */
+    async chat(options) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildBody(options), {
+            headers: this.getHeaders(),
+            timeout: this.timeout
+        });
+
+        const message = response.data.choices[0].message;
+        const toolCalls = (message.tool_calls || []).map(call => this.parseToolCall(call.id, call.function.name, call.function.arguments));
+
+        return {
+            content: message.content || '',
+            usage: response.data.usage || null,
+            toolCalls
+        };
+    }
+
+    /**
+     * 流式对话（SSE）
+     * @param {Object} options 对话参数 { model, messages, temperature, maxTokens, tools }
+     * @param {Function} onDelta 增量回调 (text) => Promise<void>
+     * @returns {Promise<{finished: boolean, usage: Object|null, toolCalls: Array}>} 是否正常结束、用量和工具调用
+     */
+    async chatStream(options, onDelta) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            ...this.buildBody(options),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, {
+            headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+            responseType: 'stream',
+            timeout: this.timeout
+        });
+
+        let finished = false;
+        let usage = null;
+        const toolCallParts = []; // 按 index 拼接工具调用: { id, name, arguments }
+
+        // SSE按行传输，一个网络分片里可能包含半行数据
+        await readStreamLines(response.data, this.streamIdleTimeout, async (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+
+            const payload = trimmed.substring(5).trim();
+            if (payload === '[DONE]') {
+                finished = true;
+                return;
+            }
+
+            let event;
+            try {
+                event = JSON.parse(payload);
+            } catch (parseError) {
+                console.warn(`[${this.name}] 无法解析的SSE数据: ${payload}`);
+                return;
+            }
+
+            if (event.usage) usage = event.usage;
+
+            const choice = event.choices && event.choices[0];
+            if (!choice) return;
+
+            for (const part of (choice.delta && choice.delta.tool_calls) || []) {
+                const index = part.index || 0;
+                const call = toolCallParts[index] || (toolCallParts[index] = { id: '', name: '', arguments: '' });
+                if (part.id) call.id = part.id;
+                if (part.function && part.function.name) call.name += part.function.name;
+                if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+            }
+
+            const delta = choice.delta && choice.delta.content;
+            if (delta) await onDelta(delta);
+
+            if (choice.finish_reason) finished = true;
+        });
+
+        const toolCalls = toolCallParts.filter(Boolean).map(call => this.parseToolCall(call.id, call.name, call.arguments));
+        return { finished, usage, toolCalls };
+    }
+}
+
+/**
+ * Ollama风格的本地模型服务
+ */
+class OllamaProvider {
+    /**
+     * @param {string} name 提供方名称
+     * @param {Object} config 配置 { baseUrl, model, vision, timeoutMs, streamIdleTimeoutMs }
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.type = 'ollama';
+        this.baseUrl = (config.baseUrl || 'http://127.0.0.1:11434').replace(/\/+$/, '');
+        this.timeout = config.timeoutMs || 60000;
+        this.streamIdleTimeout = config.streamIdleTimeoutMs || this.timeout;
+        this.model = config.model || 'qwen2.5';
+        this.supportsVision = !!config.vision;
+        this.supportsTools = !!config.tools;
+    }
+
+    /**
+     * Ollama只接受base64编码的图片，需要先下载
+     * @param {Array} messages 消息列表
+     * @returns {Promise<Array>} 转换后的消息列表
+     */
+    async prepareMessages(messages) {
+        return await Promise.all(messages.map(async msg => {
+            if (msg.toolCalls) {
+                return {
+                    role: 'assistant',
+                    content: msg.content || '',
+                    tool_calls: msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+                };
+            }
+            if (msg.role === 'tool') {
+                return { role: 'tool', content: msg.content };
+            }
+            if (!msg.images || msg.images.length === 0) {
+                return { role: msg.role, content: msg.content };
+            }
+            const images = await Promise.all(msg.images.map(async url => {
+                const dataUrl = /^data:image\/[^;]+;base64,(.*)$/.exec(url);
+                if (dataUrl) return dataUrl[1];
+                const response = await axios.get(url, { responseType: 'arraybuffer', timeout: this.timeout });
+                return Buffer.from(response.data).toString('base64');
+            }));
+            return { role: msg.role, content: msg.content, images };
+        }));
+    }
+
+    /**
+     * 构建请求体
+     * @param {Object} options 对话参数
+     * @param {Array} messages 已转换的消息列表
+     * @param {boolean} stream 是否流式
+     * @returns {Object} 请求体
+     */
+    buildBody(options, messages, stream) {
+        const body = {
+            model: options.model || this.model,
+            messages,
+            stream,
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxTokens
+            }
+        };
+
+        if (options.json) {
+            body.format = 'json';
+        }
+
+        if (options.tools && options.tools.length > 0) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        }
+
+        return body;
+    }
+
+    /**
+     * 把Ollama的计数字段转换为OpenAI风格的用量
+     * @param {Object} data 响应数据
+     * @returns {Object|null} 用量
+     */
+    toUsage(data) {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    /**
+     * 转换工具调用，Ollama不返回调用ID，按顺序编号
+     * @param {Array} calls 响应中的 tool_calls
+     * @returns {Array<{id: string, name: string, arguments: Object}>} 工具调用
+     */
+    toToolCalls(calls) {
+        return calls.map((call, index) => ({
+            id: `call_${index}`,
+            name: call.function.name,
+            arguments: call.function.arguments || {}
+        }));
+    }
+
+    /**
+     * 普通对话
+     * @param {Object} options 对话参数
+     * @returns {Promise<{content: string, usage: Object|null, toolCalls: Array}>} 回复内容、用量和工具调用
+     */
+    async chat(options) {
+        const messages = await this.prepareMessages(options.messages);
+        const response = await axios.post(`${this.baseUrl}/api/chat`, this.buildBody(options, messages, false), {
+            timeout: this.timeout
+        });
+        const message = response.data.message;
+        return {
+            content: message.content || '',
+            usage: this.toUsage(response.data),
+            toolCalls: this.toToolCalls(message.tool_calls || [])
+        };
+    }
+
+    /**
+     * 流式对话（每行一个JSON对象，工具调用在某一行中完整给出）
+     * @param {Object} options 对话参数
+     * @param {Function} onDelta 增量回调 (text) => Promise<void>
+     * @returns {Promise<{finished: boolean, usage: Object|null, toolCalls: Array}>} 是否正常结束、用量和工具调用
+     */
+    async chatStream(options, onDelta) {
+        const messages = await this.prepareMessages(options.messages);
+        const response = await axios.post(`${this.baseUrl}/api/chat`, this.buildBody(options, messages, true), {
+            responseType: 'stream',
+            timeout: this.timeout
+        });
+
+        let finished = false;
+        let usage = null;
+        const rawToolCalls = [];
+        await readStreamLines(response.data, this.streamIdleTimeout, async (line) => {
+            if (!line.trim()) return;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (parseError) {
+                console.warn(`[${this.name}] 无法解析的流式数据: ${line}`);
+                return;
+            }
+
+            if (event.message && event.message.tool_calls) rawToolCalls.push(...event.message.tool_calls);
+
+            const delta = event.message && event.message.content;
+            if (delta) await onDelta(delta);
+
+            if (event.done) {
+                finished = true;
+                usage = this.toUsage(event);
+            }
+        });
+
+        return { finished, usage, toolCalls: this.toToolCalls(rawToolCalls) };
+    }
+}
+
+/**
+ * 离线回声模型，原样返回最后一条用户消息
+ */
+class EchoProvider {
+    /**
+     * @param {string} name 提供方名称
+     * @param {Object} config 配置 { model, prefix, vision }
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.type = 'echo';
+        this.model = config.model || 'echo';
+        this.prefix = config.prefix !== undefined ? config.prefix : '[echo] ';
+        this.supportsVision = !!config.vision;
+        this.supportsTools = false;
+    }
+
+    /**
+     * 生成回声回复
+     * @param {Object} options 对话参数
+     * @returns {string} 回复内容
+     */
+    buildReply(options) {
+        const lastUser = [...options.messages].reverse().find(msg => msg.role === 'user');
+        if (!lastUser) return this.prefix;
+        const imageCount = lastUser.images ? lastUser.images.length : 0;
+        return `${this.prefix}${lastUser.content}${imageCount > 0 ? ` (${imageCount}张图片)` : ''}`;
+    }
+
+    /**
+     * 按字符数粗略估算用量，保证结果可复现
+     * @param {Object} options 对话参数
+     * @param {string} content 回复内容
+     * @returns {Object} 用量
+     */
+    buildUsage(options, content) {
+        const promptTokens = options.messages.reduce((sum, msg) => sum + String(msg.content).length, 0);
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: content.length,
+            total_tokens: promptTokens + content.length
+        };
+    }
+
+    /**
+     * 普通对话
+     * @param {Object} options 对话参数
+     * @returns {Promise<{content: string, usage: Object, toolCalls: Array}>} 回复内容、用量和工具调用（始终为空）
+     */
+    async chat(options) {
+        const content = this.buildReply(options);
+        return { content, usage: this.buildUsage(options, content), toolCalls: [] };
+    }
+
+    /**
+     * 流式对话，每次回调若干字符
+     * @param {Object} options 对话参数
+     * @param {Function} onDelta 增量回调 (text) => Promise<void>
+     * @returns {Promise<{finished: boolean, usage: Object, toolCalls: Array}>} 是否正常结束、用量和工具调用（始终为空）
+     */
+    async chatStream(options, onDelta) {
+        const content = this.buildReply(options);
+        for (let i = 0; i < content.length; i += 8) {
+            await onDelta(content.substring(i, i + 8));
+        }
+        return { finished: true, usage: this.buildUsage(options, content), toolCalls: [] };
+    }
+}
+
+/**
+ * 为提供方加上重试和熔断，对外接口与被包装的提供方相同
+ */
+class ResilientProvider {
+    /**
+     * @param {Object} provider 被包装的提供方实例
+     * @param {Object} config 配置 { maxRetries, retryBaseDelayMs, retryMaxDelayMs, circuitThreshold, circuitCooldownMs }
+     */
+    constructor(provider, config) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.type = provider.type;
+        this.model = provider.model;
+        this.supportsVision = provider.supportsVision;
+        this.supportsTools = provider.supportsTools;
+
+        this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 2;
+        this.retryBaseDelayMs = config.retryBaseDelayMs || 1000;
+        this.retryMaxDelayMs = config.retryMaxDelayMs || 10000;
+        this.circuitThreshold = config.circuitThreshold || 5;
+        this.circuitCooldownMs = config.circuitCooldownMs || 60000;
+
+        this.consecutiveFailures = 0;
+        this.openUntil = 0; // 熔断结束时间，0表示未熔断
+    }
+
+    /**
+     * 获取熔断状态
+     * @returns {{open: boolean, failures: number, retryAfterMs: number}} 熔断状态
+     */
+    getCircuitState() {
+        const retryAfterMs = Math.max(0, this.openUntil - Date.now());
+        return { open: retryAfterMs > 0, failures: this.consecutiveFailures, retryAfterMs };
+    }
+
+    /**
+     * 记录一次失败，连续失败达到阈值时熔断
+     * 熔断期过后放行的试探请求如果仍然失败，会立即再次熔断
+     */
+    recordFailure() {
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.circuitThreshold) {
+            this.openUntil = Date.now() + this.circuitCooldownMs;
+            console.warn(`[${this.name}] 连续失败 ${this.consecutiveFailures} 次，暂停请求 ${this.circuitCooldownMs / 1000} 秒`);
+        }
+    }
+
+    /**
+     * 记录一次成功，关闭熔断
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+    }
+
+    /**
+     * 执行请求，失败时按指数退避重试
+     * @param {Function} task 发起请求的函数
+     * @param {Function} canRetry 额外的重试条件，例如流式请求已经输出内容后不能重试
+     * @returns {Promise<*>} 请求结果
+     */
+    async run(task, canRetry = () => true) {
+        const circuit = this.getCircuitState();
+        if (circuit.open) {
+            throw new LLMError('circuit_open', `${this.name} 已熔断，${Math.ceil(circuit.retryAfterMs / 1000)} 秒后恢复`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await task();
+                this.recordSuccess();
+                return result;
+            } catch (rawError) {
+                const error = toLLMError(rawError);
+                // 只有服务端的问题才计入熔断，密钥无效等配置问题不算
+                if (error.retryable) {
+                    this.recordFailure();
+                }
+
+                if (!error.retryable || attempt >= this.maxRetries || !canRetry() || this.getCircuitState().open) {
+                    throw error;
+                }
+
+                const backoff = Math.min(this.retryBaseDelayMs * Math.pow(2, attempt), this.retryMaxDelayMs);
+                const delay = Math.min(Math.max(backoff, error.retryAfterMs), this.retryMaxDelayMs);
+                console.warn(`[${this.name}] 请求失败(${error.code}${error.status ? ` ${error.status}` : ''})，${delay}ms 后第 ${attempt + 1} 次重试`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * 普通对话
+     * @param {Object} options 对话参数
+     * @returns {Promise<{content: string, usage: Object|null, toolCalls: Array}>} 回复内容、用量和工具调用
+     */
+    async chat(options) {
+        return await this.run(() => this.provider.chat(options));
+    }
+
+    /**
+     * 流式对话，已经输出内容后出错不再重试，避免重复发送
+     * @param {Object} options 对话参数
+     * @param {Function} onDelta 增量回调 (text) => Promise<void>
+     * @returns {Promise<{finished: boolean, usage: Object|null, toolCalls: Array}>} 是否正常结束、用量和工具调用
+     */
+    async chatStream(options, onDelta) {
+        let started = false;
+        return await this.run(() => this.provider.chatStream(options, async (delta) => {
+            started = true;
+            await onDelta(delta);
+        }), () => !started);
+    }
+}
+
+const PROVIDER_TYPES = {
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    echo: EchoProvider
+};
+
+/**
+ * 根据配置创建带重试和熔断的提供方实例
+ * @param {string} name 提供方名称
+ * @param {Object} config 配置，type 为 openai/ollama/echo
+ * @returns {Object} 提供方实例
+ */
+function createProvider(name, config) {
+    const ProviderClass = PROVIDER_TYPES[config.type];
+    if (!ProviderClass) {
+        throw new Error(`未知的提供方类型: ${config.type}`);
+    }
+    return new ResilientProvider(new ProviderClass(name, config), config);
+}
+
+/**
+ * 各群使用的提供方和模型，保存在一个JSON文件中
+ */
+class GroupProviderSettings {
+    /**
+     * @param {string} filePath 设置文件路径
+     */
+    constructor(filePath) {
+        this.name = '群组提供方设置';
+        this.filePath = filePath;
+        this.groups = {}; // 群号 -> { provider, model }
+    }
+
+    /**
+     * 加载设置，每个插件初始化时都会调用，重新读取文件即可
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.groups = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                console.log(`[${this.name}] 已加载 ${Object.keys(this.groups).length} 个群组的设置`);
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载失败:`, error);
+        }
+    }
+
+    /**
+     * 保存设置
+     * @returns {boolean} 是否保存成功
+     */
+    save() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.groups, null, 2), 'utf8');
+            return true;
+        } catch (error) {
+            console.error(`[${this.name}] 保存失败:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 导入插件以前单独保存的设置，已有设置的群保持不变
+     * @param {string} source 来源（插件名），用于日志
+     * @param {Object} legacy 群号 -> { provider, model }
+     * @returns {number} 导入的群数
+     */
+    importLegacy(source, legacy) {
+        let imported = 0;
+        for (const [groupId, settings] of Object.entries(legacy || {})) {
+            if (!settings || !settings.provider || this.groups[groupId]) continue;
+            this.groups[groupId] = settings.model ? { provider: settings.provider, model: settings.model } : { provider: settings.provider };
+            imported++;
+        }
+        if (imported > 0) {
+            this.save();
+            console.log(`[${this.name}] 已从 ${source} 迁移 ${imported} 个群组的设置`);
+        }
+        return imported;
+    }
+
+    /**
+     * 设置群组使用的提供方
+     * @param {string} groupId 群组ID
+     * @param {string} provider 提供方名称
+     * @param {string} [model] 模型名，不填时使用提供方的默认模型
+     */
+    set(groupId, provider, model) {
+        this.groups[groupId] = model ? { provider, model } : { provider };
+        this.save();
+    }
+
+    /**
+     * 恢复群组的默认提供方
+     * @param {string} groupId 群组ID
+     */
+    reset(groupId) {
+        delete this.groups[groupId];
+        this.save();
+    }
+
+    /**
+     * 选择群组使用的提供方
+     * @param {string|null} groupId 群组ID，私聊为空
+     * @param {Object} providers 插件的提供方配置，名称 -> 配置
+     * @param {string} defaultProvider 插件的默认提供方
+     * @returns {{providerName: string, model: string|undefined}} 提供方名称和模型名，模型为空时使用提供方的默认模型
+     */
+    resolve(groupId, providers, defaultProvider) {
+        const settings = (groupId && this.groups[groupId]) || {};
+        if (!providers[settings.provider]) {
+            return { providerName: defaultProvider, model: undefined };
+        }
+        return { providerName: settings.provider, model: settings.model };
+    }
+}
+
+const groupProviders = new GroupProviderSettings(path.join(__dirname, 'group_providers.json'));
+
+module.exports = {
+    createProvider,
+    groupProviders,
+    GroupProviderSettings,
+    getErrorMessage,
+    toLLMError,
+    LLMError,
+    ResilientProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    EchoProvider
+};
@@ -0,0 +1,240 @@
+/**
+ * 长期记忆 - 按用户保存AI助手需要长期记住的事实（爱好、称呼偏好等）
+ *   - 用户用命令手动添加，或由模型从最近的对话中提议（source 为 user/model）
+ *   - 对话时挑选与当前消息相关的事实注入系统提示词
+ *   - 用户可以查看、删除自己的记忆，也可以关闭自动记忆
+ *
+ * 数据保存在一个JSON文件中: { 用户ID: { autoExtract, facts: [{ text, source, createdAt }] } }
+ */
+const fs = require('fs');
+
+class MemoryStore {
+    /**
+     * @param {string} name 日志前缀（一般为插件名）
+     * @param {string} filePath 记忆文件路径
+     * @param {Object} options 配置 { maxFacts, maxFactLength, promptMaxFacts }
+     */
+    constructor(name, filePath, options = {}) {
+        this.name = name;
+        this.filePath = filePath;
+        this.maxFacts = options.maxFacts || 30;              // 每个用户最多保存的事实条数
+        this.maxFactLength = options.maxFactLength || 100;   // 每条事实的最大字数
+        this.promptMaxFacts = options.promptMaxFacts || 8;   // 每次对话最多注入的事实条数
+        this.users = {};
+    }
+
+    /**
+     * 加载记忆
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                console.log(`[${this.name}] 长期记忆加载成功，共 ${Object.keys(this.users).length} 个用户`);
+            } else {
+                this.save();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载长期记忆失败:`, error);
+        }
+    }
+
+    /**
+     * 保存记忆
+     */
+    save() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.users, null, 2), 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 保存长期记忆失败:`, error);
+        }
+    }
+
+    /**
+     * 获取用户的记忆记录，不存在时返回默认值（不会写入）
+     * @param {string} userId 用户ID
+     * @returns {{autoExtract: boolean, facts: Array<Object>}} 记忆记录
+     */
+    getUser(userId) {
+        return this.users[userId] || { autoExtract: true, facts: [] };
+    }
+
+    /**
+     * 获取用户的全部事实
+     * @param {string} userId 用户ID
+     * @returns {Array<{text: string, source: string, createdAt: number}>} 事实列表，按添加顺序排列
+     */
+    list(userId) {
+        return this.getUser(userId).facts;
+    }
+
+    /**
+     * 是否允许模型为该用户自动提议记忆
+     * @param {string} userId 用户ID
+     * @returns {boolean} 是否允许
+     */
+    isAutoExtractEnabled(userId) {
+        return this.getUser(userId).autoExtract !== false;
+    }
+
+    /**
+     * 开关自动记忆
+     * @param {string} userId 用户ID
+     * @param {boolean} enabled 是否允许
+     */
+    setAutoExtract(userId, enabled) {
+        this.users[userId] = { ...this.getUser(userId), autoExtract: enabled };
+        this.save();
+    }
+
+    /**
+     * 规范化事实文本，用于去重
+     * @param {string} text 事实
+     * @returns {string} 去掉空白和标点后的小写文本
+     */
+    normalize(text) {
+        return text.toLowerCase().replace(/[\s\p{P}]/gu, '');
+    }
+
+    /**
+     * 添加一条事实
+     * @param {string} userId 用户ID
+     * @param {string} text 事实
+     * @param {string} source 来源 user/model
+     * @returns {{added: boolean, reason?: string}} 结果，reason 为 empty/duplicate/full
+     */
+    add(userId, text, source = 'user') {
+        const fact = text.replace(/\s+/g, ' ').trim().substring(0, this.maxFactLength);
+        if (!fact) {
+            return { added: false, reason: 'empty' };
+        }
+
+        const user = this.getUser(userId);
+        const normalized = this.normalize(fact);
+        if (user.facts.some(item => this.normalize(item.text) === normalized)) {
+            return { added: false, reason: 'duplicate' };
+        }
+        if (user.facts.length >= this.maxFacts) {
+            return { added: false, reason: 'full' };
+        }
+
+        this.users[userId] = { ...user, facts: [...user.facts, { text: fact, source, createdAt: Date.now() }] };
+        this.save();
+        return { added: true };
+    }
+
+    /**
+     * 按序号删除事实
+     * @param {string} userId 用户ID
+     * @param {Array<number>} indexes 从1开始的序号
+     * @returns {Array<Object>} 被删除的事实
+     */
+    removeByIndex(userId, indexes) {
+        const user = this.getUser(userId);
+        const removed = user.facts.filter((fact, index) => indexes.includes(index + 1));
+        if (removed.length > 0) {
+            this.users[userId] = { ...user, facts: user.facts.filter(fact => !removed.includes(fact)) };
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * 删除包含关键词的事实
+     * @param {string} userId 用户ID
+     * @param {string} keyword 关键词，不区分大小写
+     * @returns {Array<Object>} 被删除的事实
+     */
+    removeByKeyword(userId, keyword) {
+        const user = this.getUser(userId);
+        const lowerKeyword = keyword.toLowerCase();
+        const removed = user.facts.filter(fact => fact.text.toLowerCase().includes(lowerKeyword));
+        if (removed.length > 0) {
+            this.users[userId] = { ...user, facts: user.facts.filter(fact => !removed.includes(fact)) };
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * 删除用户的全部事实，保留自动记忆开关
+     * @param {string} userId 用户ID
+     * @returns {number} 删除的条数
+     */
+    clear(userId) {
+        const user = this.getUser(userId);
+        const count = user.facts.length;
+        if (user.autoExtract !== false) {
+            delete this.users[userId];
+        } else {
+            this.users[userId] = { ...user, facts: [] };
+        }
+        this.save();
+        return count;
+    }
+
+    /**
+     * 把文本切成用于比较相关性的词元：英文单词和中文相邻两字
+     * @param {string} text 文本
+     * @returns {Set<string>} 词元集合
+     */
+    tokenize(text) {
+        const tokens = new Set((text.toLowerCase().match(/[a-z0-9]{2,}/g) || []));
+        for (const run of text.match(/[\u4e00-\u9fff]+/g) || []) {
+            if (run.length === 1) tokens.add(run);
+            for (let i = 0; i < run.length - 1; i++) {
+                tokens.add(run.substring(i, i + 2));
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * 挑选与当前消息相关的事实
+     * 事实不多时全部返回；超过上限时按与消息的词元重合度排序，重合度相同时较新的优先
+     * @param {string} userId 用户ID
+     * @param {string} text 当前消息
+     * @returns {Array<string>} 事实文本
+     */
+    getRelevant(userId, text) {
+        const facts = this.list(userId);
+        if (facts.length <= this.promptMaxFacts) {
+            return facts.map(fact => fact.text);
+        }
+
+        const queryTokens = this.tokenize(text || '');
+        return facts
+            .map((fact, index) => {
+                let score = 0;
+                for (const token of this.tokenize(fact.text)) {
+                    if (queryTokens.has(token)) score++;
+                }
+                return { fact, index, score };
+            })
+            .sort((a, b) => b.score - a.score || b.index - a.index)
+            .slice(0, this.promptMaxFacts)
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.fact.text);
+    }
+
+    /**
+     * 解析模型输出的 {"facts": [...]}，兼容代码块包裹和前后多余文字
+     * @param {string} content 模型输出
+     * @returns {Array<string>} 提议的事实，无法解析时为空
+     */
+    parseProposedFacts(content) {
+        const match = /\{[\s\S]*\}/.exec(content || '');
+        if (!match) return [];
+        try {
+            const data = JSON.parse(match[0]);
+            return Array.isArray(data.facts)
+                ? data.facts.filter(fact => typeof fact === 'string' && fact.trim())
+                : [];
+        } catch (error) {
+            console.warn(`[${this.name}] 无法解析模型提议的记忆: ${content}`);
+            return [];
+        }
+    }
+}
+
+module.exports = MemoryStore;
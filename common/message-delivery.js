@@ -0,0 +1,282 @@
+/**
+ * 消息发送 - 把AI的长回复整理成适合在QQ里阅读的形式再发送
+ *   - Markdown 转换为纯文本排版（QQ不渲染Markdown）
+ *   - 发送策略:
+ *       single  一条消息直接发送
+ *       split   在段落/句子边界切分成多条消息
+ *       forward 打包成合并转发消息
+ *       auto    短消息直接发送，长消息合并转发
+ *   - 合并转发失败时（部分协议端不支持）退回切分发送
+ *
+ * 用法:
+ *   this.delivery = new MessageDelivery(client, { name: this.name, strategy: 'auto' });
+ *   await this.delivery.deliver(message, reply, { senderName: '小林' });
+ *
+ * options.onSent 在每条消息发送成功后以接口返回结果调用，可用于记录机器人发出的消息ID
+ */
+
+const STRATEGIES = {
+    single: '一条消息直接发送',
+    split: '按句子切分成多条消息',
+    forward: '合并转发',
+    auto: '短消息直接发送，长消息合并转发'
+};
+
+class MessageDelivery {
+    /**
+     * @param {Object} client 机器人客户端
+     * @param {Object} options 配置 { name, strategy, longThreshold, longLineThreshold, splitMaxChars, splitMaxMessages, splitIntervalMs, forwardNodeMaxChars, renderMarkdown, onSent }
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.name = options.name || '消息发送';
+        this.strategy = STRATEGIES[options.strategy] ? options.strategy : 'auto';
+        this.longThreshold = options.longThreshold || 300;          // 超过这个字数视为长消息
+        this.longLineThreshold = options.longLineThreshold || 12;   // 超过这个行数也视为长消息
+        this.splitMaxChars = options.splitMaxChars || 300;          // 切分发送时每条消息的最大字数
+        this.splitMaxMessages = options.splitMaxMessages || 5;      // 切分发送最多几条，超出时改用合并转发
+        this.splitIntervalMs = options.splitIntervalMs !== undefined ? options.splitIntervalMs : 500; // 切分发送的间隔，避免乱序和刷屏
+        this.forwardNodeMaxChars = options.forwardNodeMaxChars || 800; // 合并转发中每个节点的最大字数
+        this.renderMarkdown = options.renderMarkdown !== false;
+        this.onSent = options.onSent || null;
+    }
+
+    /**
+     * 是否为长消息
+     * @param {string} text 文本
+     * @returns {boolean} 是否超过长度或行数阈值
+     */
+    isLong(text) {
+        return text.length > this.longThreshold || text.split('\n').length > this.longLineThreshold;
+    }
+
+    /**
+     * 把 Markdown 转换为适合QQ阅读的纯文本
+     * 代码块原样保留并加上分隔线，其余语法去掉标记符号
+     * @param {string} text Markdown文本
+     * @returns {string} 纯文本
+     */
+    render(text) {
+        if (!this.renderMarkdown || !text) return text;
+
+        const lines = text.replace(/\r\n/g, '\n').split('\n');
+        const output = [];
+        let inCode = false;
+
+        for (const line of lines) {
+            const fence = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/.exec(line);
+            if (fence) {
+                // 代码块的开始和结束，前后空一行，切分时作为单独的段落；未闭合的代码块在文本结束时自动闭合
+                output.push(...(inCode ? ['└──────', ''] : ['', `┌── ${fence[2] || '代码'} ──`]));
+                inCode = !inCode;
+                continue;
+            }
+            if (inCode) {
+                output.push(`│ ${line}`);
+                continue;
+            }
+            output.push(this.renderLine(line));
+        }
+        if (inCode) {
+            output.push('└──────');
+        }
+
+        return output
+            .filter(line => line !== null)
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * 转换代码块以外的一行 Markdown
+     * @param {string} line 一行文本
+     * @returns {string|null} 转换后的文本，需要删除的行返回空
+     */
+    renderLine(line) {
+        // 分隔线
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return '──────────';
+        // 表格分隔行
+        if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return null;
+
+        let result = line
+            .replace(/^(\s*)#{1,6}\s+(.+?)\s*#*\s*$/, '$1【$2】')     // 标题
+            .replace(/^(\s*)>\s?/, '$1｜')                           // 引用
+            .replace(/^(\s*)[-*+]\s+\[( |x|X)\]\s+/, (match, indent, checked) => `${indent}${checked === ' ' ? '☐' : '☑'} `) // 任务列表
+            .replace(/^(\s*)[-*+]\s+/, '$1• ');                      // 无序列表
+
+        // 表格行
+        if (/^\s*\|.*\|\s*$/.test(result)) {
+            result = result.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join(' | ');
+        }
+
+        return result
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, url) => `[图片${alt ? `: ${alt}` : ''}] ${url}`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => label === url ? url : `${label}（${url}）`)
+            .replace(/`([^`]+)`/g, '「$1」')
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+            .replace(/(^|[^*\w])\*(?=\S)([^*\n]+?)(?<=\S)\*(?!\*)/g, '$1$2')
+            .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1');
+    }
+
+    /**
+     * 在段落或句子边界切分文本，代码块尽量保持完整
+     * @param {string} text 文本
+     * @param {number} maxChars 每段最大字数
+     * @returns {Array<string>} 分段
+     */
+    splitText(text, maxChars) {
+        // 先按空行切成段落，代码块（带分隔线的连续行）作为一个整体
+        const blocks = [];
+        let codeBlock = null;
+        for (const paragraph of text.split(/\n{2,}/)) {
+            if (codeBlock !== null) {
+                codeBlock += `\n\n${paragraph}`;
+                if (paragraph.includes('└──────')) {
+                    blocks.push(codeBlock);
+                    codeBlock = null;
+                }
+            } else if (paragraph.includes('┌──') && !paragraph.includes('└──────')) {
+                codeBlock = paragraph;
+            } else {
+                blocks.push(paragraph);
+            }
+        }
+        if (codeBlock !== null) blocks.push(codeBlock);
+
+        // 过长的段落继续按句子切分，单句仍然过长时按字数硬切；newParagraph 标记片段是否为新段落的开头
+        const pieces = [];
+        for (const block of blocks) {
+            if (block.length <= maxChars) {
+                pieces.push({ text: block, newParagraph: true });
+                continue;
+            }
+            const separator = block.includes('┌──') ? /(?<=\n)/ : /(?<=[。！？!?…~～；;]["”』」）)]?|\n)/;
+            block.split(separator).forEach((sentence, index) => {
+                for (let i = 0; i < sentence.length; i += maxChars) {
+                    pieces.push({ text: sentence.substring(i, i + maxChars), newParagraph: index === 0 && i === 0 });
+                }
+            });
+        }
+
+        // 把相邻的小片段合并，尽量填满每一段
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            const joined = current ? current + (piece.newParagraph ? '\n\n' : '') + piece.text : piece.text;
+            if (current && joined.length > maxChars) {
+                chunks.push(current.trim());
+                current = piece.text;
+            } else {
+                current = joined;
+            }
+        }
+        if (current.trim()) chunks.push(current.trim());
+
+        return chunks.filter(Boolean);
+    }
+
+    /**
+     * 发送一条普通消息
+     * @param {Object} message 原始消息对象
+     * @param {string} text 消息内容
+     * @returns {Promise<Object>} 接口返回结果
+     */
+    async sendText(message, text) {
+        const result = message.message_type === 'private'
+            ? await this.client.callApi('send_private_msg', { user_id: message.user_id.toString(), message: text })
+            : await this.client.callApi('send_group_msg', { group_id: message.group_id.toString(), message: text });
+        if (this.onSent) this.onSent(result);
+        return result;
+    }
+
+    /**
+     * 发送合并转发消息
+     * @param {Object} message 原始消息对象
+     * @param {Array<Object>} nodes 转发节点 [{ type: 'node', data: { name, uin, content } }]
+     * @returns {Promise<Object>} 接口返回结果
+     */
+    async sendForward(message, nodes) {
+        const result = message.message_type === 'private'
+            ? await this.client.callApi('send_private_forward_msg', { user_id: message.user_id.toString(), messages: nodes })
+            : await this.client.callApi('send_group_forward_msg', { group_id: message.group_id.toString(), messages: nodes });
+        if (this.onSent) this.onSent(result);
+        return result;
+    }
+
+    /**
+     * 构建转发节点
+     * @param {string} name 显示的发送者名称
+     * @param {string} uin 显示的发送者QQ号
+     * @param {string} content 节点内容
+     * @returns {Object} 转发节点
+     */
+    createNode(name, uin, content) {
+        return { type: 'node', data: { name, uin: String(uin), content } };
+    }
+
+    /**
+     * 逐条发送切分后的消息
+     * @param {Object} message 原始消息对象
+     * @param {Array<string>} chunks 分段
+     * @param {string} prefix 第一条消息的前缀（例如艾特）
+     */
+    async sendChunks(message, chunks, prefix) {
+        for (let i = 0; i < chunks.length; i++) {
+            if (i > 0 && this.splitIntervalMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.splitIntervalMs));
+            }
+            await this.sendText(message, i === 0 ? `${prefix}${chunks[i]}` : chunks[i]);
+        }
+    }
+
+    /**
+     * 按策略发送AI回复
+     * @param {Object} message 原始消息对象
+     * @param {string} text 回复内容
+     * @param {Object} options 选项 { strategy, senderName, prefix }，strategy 不填时使用默认策略，prefix 只加在直接发送的消息前
+     * @returns {Promise<string>} 实际使用的策略
+     */
+    async deliver(message, text, options = {}) {
+        const rendered = this.render(text);
+        const prefix = options.prefix || '';
+        let strategy = STRATEGIES[options.strategy] ? options.strategy : this.strategy;
+
+        if (strategy === 'auto') {
+            strategy = this.isLong(rendered) ? 'forward' : 'single';
+        }
+
+        if (strategy === 'single') {
+            await this.sendText(message, `${prefix}${rendered}`);
+            return strategy;
+        }
+
+        const chunks = this.splitText(rendered, this.splitMaxChars);
+        if (strategy === 'split' && chunks.length <= this.splitMaxMessages) {
+            await this.sendChunks(message, chunks, prefix);
+            return strategy;
+        }
+
+        // 合并转发，切分后条数过多时也改用合并转发
+        try {
+            const uin = message.self_id || message.user_id;
+            const senderName = options.senderName || this.name;
+            const nodes = this.splitText(rendered, this.forwardNodeMaxChars).map(chunk => this.createNode(senderName, uin, chunk));
+            await this.sendForward(message, nodes);
+            return 'forward';
+        } catch (error) {
+            console.error(`[${this.name}] 发送合并转发消息失败，改为切分发送:`, error);
+        }
+
+        const limited = chunks.slice(0, this.splitMaxMessages);
+        if (chunks.length > limited.length) {
+            limited[limited.length - 1] += '\n（内容过长，后续已省略）';
+        }
+        await this.sendChunks(message, limited, prefix);
+        return 'split';
+    }
+}
+
+MessageDelivery.STRATEGIES = STRATEGIES;
+
+module.exports = MessageDelivery;
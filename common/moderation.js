@@ -0,0 +1,329 @@
+/**
+ * 内容审核 - 在发送给模型之前检查用户输入，在发到群里之前检查模型回复
+ *   - 关键词和正则列表，命中时按严格程度替换为*号或拦截
+ *   - 手机号、QQ号脱敏，避免隐私信息被发给模型或被模型复述
+ *   - 严格程度可以按群单独设置，被拦截的内容追加写入日志文件（每行一条JSON）
+ */
+const fs = require('fs');
+
+// 严格程度
+const LEVELS = {
+    off: '关闭，不做任何处理',
+    low: '命中关键词/正则的部分替换为*号，手机号脱敏',
+    medium: '命中关键词/正则时拦截，手机号和带QQ字样的号码脱敏',
+    high: '命中关键词/正则时拦截，手机号和所有5位以上的数字串脱敏'
+};
+
+const PHONE_PATTERN = /(?<!\d)(?:\+?86[- ]?)?1[3-9]\d(?:[- ]?\d{4}){2}(?!\d)/g;
+const LABELED_QQ_PATTERN = /((?:QQ|qq|Qq|扣扣|企鹅号?)\s*(?:号码?)?\s*[:：是为]?\s*)[1-9]\d{4,10}(?!\d)/g;
+const NUMBER_PATTERN = /(?<!\d)\d{5,}(?!\d)/g;
+
+class ContentModerator {
+    /**
+     * @param {string} name 日志前缀（一般为插件名）
+     * @param {string} configPath 审核配置文件路径
+     * @param {string} logPath 拦截记录文件路径
+     */
+    constructor(name, configPath, logPath) {
+        this.name = name;
+        this.configPath = configPath;
+        this.logPath = logPath;
+        this.config = {
+            defaultLevel: 'medium', // 私聊和未单独设置的群使用的严格程度
+            groupLevels: {},        // 群号 -> 严格程度
+            keywords: [],           // 关键词，不区分大小写
+            patterns: []            // 正则表达式字符串，不区分大小写
+        };
+        this.compiledPatterns = [];
+    }
+
+    /**
+     * 加载审核配置
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.configPath)) {
+                this.config = { ...this.config, ...JSON.parse(fs.readFileSync(this.configPath, 'utf8')) };
+                console.log(`[${this.name}] 审核配置加载成功，${this.config.keywords.length} 个关键词，${this.config.patterns.length} 条正则`);
+            } else {
+                this.save();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载审核配置失败:`, error);
+        }
+        this.compilePatterns();
+    }
+
+    /**
+     * 保存审核配置
+     */
+    save() {
+        try {
+            fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2), 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 保存审核配置失败:`, error);
+        }
+    }
+
+    /**
+     * 编译正则列表，无效的正则会被跳过
+     */
+    compilePatterns() {
+        this.compiledPatterns = [];
+        for (const source of this.config.patterns) {
+            try {
+                this.compiledPatterns.push({ source, regex: new RegExp(source, 'gi') });
+            } catch (error) {
+                console.error(`[${this.name}] 无效的审核正则 ${source}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 获取群组的严格程度
+     * @param {string|null} groupId 群组ID，私聊时为空
+     * @returns {string} 严格程度
+     */
+    getLevel(groupId) {
+        const level = groupId ? this.config.groupLevels[groupId] : null;
+        return LEVELS[level] ? level : this.config.defaultLevel;
+    }
+
+    /**
+     * 查找文本中命中的关键词和正则
+     * @param {string} text 文本
+     * @returns {Array<{rule: string, regex: RegExp}>} 命中的规则
+     */
+    findMatches(text) {
+        const matches = [];
+        const lowerText = text.toLowerCase();
+        for (const keyword of this.config.keywords) {
+            if (keyword && lowerText.includes(keyword.toLowerCase())) {
+                const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                matches.push({ rule: `关键词 ${keyword}`, regex: new RegExp(escaped, 'gi') });
+            }
+        }
+        for (const { source, regex } of this.compiledPatterns) {
+            regex.lastIndex = 0;
+            if (regex.test(text)) {
+                matches.push({ rule: `正则 ${source}`, regex });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * 脱敏手机号和QQ号
+     * @param {string} text 文本
+     * @param {string} level 严格程度
+     * @returns {string} 脱敏后的文本
+     */
+    redact(text, level) {
+        let result = text.replace(PHONE_PATTERN, '[手机号]');
+        if (level === 'medium') {
+            result = result.replace(LABELED_QQ_PATTERN, '$1[QQ号]');
+        } else if (level === 'high') {
+            result = result.replace(NUMBER_PATTERN, '[号码]');
+        }
+        return result;
+    }
+
+    /**
+     * 按严格程度处理文本，不写日志
+     * @param {string} text 待处理的文本
+     * @param {string} level 严格程度
+     * @returns {{blocked: boolean, text: string, rule?: string}} 处理结果
+     */
+    inspect(text, level) {
+        if (level === 'off' || !text) {
+            return { blocked: false, text };
+        }
+
+        const matches = this.findMatches(text);
+        if (matches.length > 0 && level !== 'low') {
+            return { blocked: true, text: '', rule: matches.map(match => match.rule).join('、') };
+        }
+
+        let result = text;
+        for (const { regex } of matches) {
+            regex.lastIndex = 0;
+            result = result.replace(regex, found => '*'.repeat(found.length));
+        }
+        return { blocked: false, text: this.redact(result, level) };
+    }
+
+    /**
+     * 审核一段文本，被拦截时记录日志
+     * @param {string} text 待审核的文本
+     * @param {Object} context 审核上下文 { userId, groupId, stage }，stage 为 input（用户输入）或 output（模型回复）
+     * @returns {{blocked: boolean, text: string, rule?: string}} 审核结果，text 为处理后的文本
+     */
+    review(text, context = {}) {
+        const level = this.getLevel(context.groupId);
+        const result = this.inspect(text, level);
+
+        if (result.blocked) {
+            this.appendLog({
+                time: Date.now(),
+                userId: context.userId || null,
+                groupId: context.groupId || null,
+                stage: context.stage || 'input',
+                level,
+                rule: result.rule,
+                text: this.redact(text, level).substring(0, 200)
+            });
+            console.log(`[${this.name}] 已拦截${context.stage === 'output' ? '模型回复' : '用户输入'}，命中${result.rule}`);
+        }
+        return result;
+    }
+
+    /**
+     * 生成被拦截时的提示语
+     * @param {string} stage input 或 output
+     * @returns {string} 提示语
+     */
+    getBlockedMessage(stage) {
+        return stage === 'output'
+            ? '这个回答包含不适合发送的内容，已被拦截，换个话题吧~'
+            : '你的消息包含不适合讨论的内容，换个话题吧~';
+    }
+
+    /**
+     * 追加拦截记录
+     * @param {Object} entry 记录内容
+     */
+    appendLog(entry) {
+        try {
+            fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 写入拦截记录失败:`, error);
+        }
+    }
+
+    /**
+     * 读取最近的拦截记录
+     * @param {number} count 条数
+     * @param {string|null} groupId 只看某个群的记录，为空时不限
+     * @returns {Array<Object>} 拦截记录
+     */
+    readLog(count, groupId = null) {
+        try {
+            if (!fs.existsSync(this.logPath)) return [];
+            return fs.readFileSync(this.logPath, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .map(line => JSON.parse(line))
+                .filter(entry => !groupId || entry.groupId === groupId)
+                .slice(-count);
+        } catch (error) {
+            console.error(`[${this.name}] 读取拦截记录失败:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 处理审核管理命令
+     * @param {Array<string>} args 命令参数
+     * @param {string|null} groupId 当前群组ID
+     * @returns {string} 处理结果
+     */
+    handleCommand(args, groupId) {
+        const subCommand = (args[0] || '').toLowerCase();
+        const usage = '可用命令: moderation, moderation log [条数] [all], moderation level <off|low|medium|high> [default], moderation keyword <list|add|remove> [关键词], moderation regex <list|add|remove> [正则], moderation test <文本>';
+
+        if (!subCommand) {
+            let result = '🛡️ 内容审核设置\n';
+            result += `默认严格程度: ${this.config.defaultLevel}\n`;
+            if (groupId) {
+                result += `本群严格程度: ${this.getLevel(groupId)}${this.config.groupLevels[groupId] ? '' : '（跟随默认）'}\n`;
+            }
+            result += `关键词: ${this.config.keywords.length} 个，正则: ${this.config.patterns.length} 条\n`;
+            result += `严格程度说明:\n${Object.entries(LEVELS).map(([key, label]) => `  ${key}: ${label}`).join('\n')}\n`;
+            result += usage;
+            return result;
+        }
+
+        if (subCommand === 'log') {
+            const count = Math.min(Math.max(parseInt(args[1], 10) || 10, 1), 50);
+            const showAll = !groupId || (args[1] || '').toLowerCase() === 'all' || (args[2] || '').toLowerCase() === 'all';
+            const entries = this.readLog(count, showAll ? null : groupId);
+            if (entries.length === 0) {
+                return '暂无拦截记录';
+            }
+            return `最近 ${entries.length} 条拦截记录${showAll ? '' : '（本群）'}:\n` + entries.map(entry => {
+                const time = new Date(entry.time).toLocaleString('zh-CN', { hour12: false });
+                const where = entry.groupId ? `群 ${entry.groupId}` : '私聊';
+                return `${time} ${where} 用户 ${entry.userId} ${entry.stage === 'output' ? '回复' : '输入'} | ${entry.rule}\n  ${entry.text}`;
+            }).join('\n');
+        }
+
+        if (subCommand === 'level') {
+            const level = (args[1] || '').toLowerCase();
+            if (!LEVELS[level]) {
+                return `严格程度只能是 ${Object.keys(LEVELS).join('/')}`;
+            }
+            if ((args[2] || '').toLowerCase() === 'default' || !groupId) {
+                this.config.defaultLevel = level;
+                this.save();
+                return `已将默认严格程度设置为 ${level}`;
+            }
+            this.config.groupLevels[groupId] = level;
+            this.save();
+            return `已将本群严格程度设置为 ${level}`;
+        }
+
+        if (subCommand === 'keyword' || subCommand === 'regex') {
+            const listKey = subCommand === 'keyword' ? 'keywords' : 'patterns';
+            const label = subCommand === 'keyword' ? '关键词' : '正则';
+            const operation = (args[1] || 'list').toLowerCase();
+            const value = args.slice(2).join(' ').trim();
+
+            if (operation === 'list') {
+                const list = this.config[listKey];
+                return list.length > 0 ? `${label}列表:\n${list.join('\n')}` : `${label}列表为空`;
+            }
+            if (!value) {
+                return `请提供要${operation === 'remove' ? '删除' : '添加'}的${label}`;
+            }
+            if (operation === 'add') {
+                if (subCommand === 'regex') {
+                    try {
+                        new RegExp(value, 'gi');
+                    } catch (error) {
+                        return `正则格式不正确: ${error.message}`;
+                    }
+                }
+                if (this.config[listKey].includes(value)) {
+                    return `${label} ${value} 已存在`;
+                }
+                this.config[listKey].push(value);
+                this.compilePatterns();
+                this.save();
+                return `已添加${label} ${value}`;
+            }
+            if (operation === 'remove') {
+                if (!this.config[listKey].includes(value)) {
+                    return `${label} ${value} 不存在`;
+                }
+                this.config[listKey] = this.config[listKey].filter(item => item !== value);
+                this.compilePatterns();
+                this.save();
+                return `已删除${label} ${value}`;
+            }
+            return usage;
+        }
+
+        if (subCommand === 'test' && args.length > 1) {
+            const level = this.getLevel(groupId);
+            const result = this.inspect(args.slice(1).join(' '), level);
+            if (result.blocked) {
+                return `严格程度 ${level}: 会被拦截，命中${result.rule}`;
+            }
+            return `严格程度 ${level}: 不会被拦截，处理后的文本:\n${result.text}`;
+        }
+
+        return usage;
+    }
+}
+
+module.exports = ContentModerator;
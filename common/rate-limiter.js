@@ -0,0 +1,298 @@
+/**
+ * 频率限制与额度统计 - 供AI插件限制调用频率和每日token用量
+ *   - 频率限制: 按用户、按群的滑动窗口，只保存在内存中
+ *   - 每日额度: 按用户、按群累计API返回的token用量，持久化到文件，跨天自动清零
+ *   - 累计用量不会立即写文件，短时间内的多次调用合并为一次保存；插件卸载时调用 flush() 写入未保存的用量
+ */
+const fs = require('fs');
+
+class RateLimiter {
+    /**
+     * @param {string} name 日志前缀（一般为插件名）
+     * @param {string} filePath 额度数据文件路径
+     * @param {Object} defaultLimits 默认限制，未在文件中配置时使用
+     */
+    constructor(name, filePath, defaultLimits = {}) {
+        this.name = name;
+        this.filePath = filePath;
+        this.limits = {
+            userRate: { count: 5, windowMs: 60 * 1000 },   // 每个用户每分钟最多5次
+            groupRate: { count: 20, windowMs: 60 * 1000 }, // 每个群每分钟最多20次
+            userDailyTokens: 50000,                        // 每个用户每天的token额度，0表示不限
+            groupDailyTokens: 300000,                      // 每个群每天的token额度，0表示不限
+            ...defaultLimits
+        };
+        this.usage = this.createEmptyUsage();
+        this.windows = { users: new Map(), groups: new Map() }; // ID -> 请求时间戳数组
+        this.flushDelayMs = 10000; // 累计用量后延迟多久写文件
+        this.flushTimer = null;
+        this.dirty = false;
+    }
+
+    /**
+     * 获取本地日期字符串
+     * @returns {string} YYYY-MM-DD
+     */
+    getToday() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 创建当天的空用量记录
+     * @returns {Object} 用量记录
+     */
+    createEmptyUsage() {
+        return { date: this.getToday(), users: {}, groups: {} };
+    }
+
+    /**
+     * 加载额度数据
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (data.limits) this.limits = { ...this.limits, ...data.limits };
+                if (data.usage) this.usage = data.usage;
+                this.rollOverIfNeeded();
+                console.log(`[${this.name}] 额度数据加载成功`);
+            } else {
+                this.save();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载额度数据失败:`, error);
+        }
+    }
+
+    /**
+     * 立即保存额度数据，同时取消已经安排的延迟保存
+     */
+    save() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify({ limits: this.limits, usage: this.usage }, null, 2), 'utf8');
+            this.dirty = false;
+        } catch (error) {
+            console.error(`[${this.name}] 保存额度数据失败:`, error);
+        }
+    }
+
+    /**
+     * 安排一次延迟保存，已经安排过时不重复安排
+     */
+    scheduleFlush() {
+        this.dirty = true;
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+        // 不因为等待保存而阻止进程退出
+        if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+
+    /**
+     * 有未保存的用量时立即保存
+     */
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    /**
+     * 跨天时清空每日用量
+     */
+    rollOverIfNeeded() {
+        if (this.usage.date !== this.getToday()) {
+            this.usage = this.createEmptyUsage();
+        }
+    }
+
+    /**
+     * 清理滑动窗口中的过期记录
+     * @param {Map} windows 窗口表
+     * @param {string} id 用户或群ID
+     * @param {number} windowMs 窗口长度
+     * @param {number} now 当前时间
+     * @returns {Array<number>} 窗口内的请求时间戳
+     */
+    pruneWindow(windows, id, windowMs, now) {
+        const timestamps = (windows.get(id) || []).filter(time => now - time < windowMs);
+        if (timestamps.length > 0) {
+            windows.set(id, timestamps);
+        } else {
+            windows.delete(id);
+        }
+        return timestamps;
+    }
+
+    /**
+     * 检查是否允许本次请求
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID，私聊时为空
+     * @returns {{allowed: boolean, reason?: string, retryAfterMs?: number}} 检查结果，reason 为 userRate/groupRate/userDaily/groupDaily
+     */
+    check(userId, groupId) {
+        const now = Date.now();
+        this.rollOverIfNeeded();
+
+        const { userRate, groupRate, userDailyTokens, groupDailyTokens } = this.limits;
+
+        if (userDailyTokens > 0 && (this.usage.users[userId] || 0) >= userDailyTokens) {
+            return { allowed: false, reason: 'userDaily' };
+        }
+        if (groupId && groupDailyTokens > 0 && (this.usage.groups[groupId] || 0) >= groupDailyTokens) {
+            return { allowed: false, reason: 'groupDaily' };
+        }
+
+        const userWindow = this.pruneWindow(this.windows.users, userId, userRate.windowMs, now);
+        if (userRate.count > 0 && userWindow.length >= userRate.count) {
+            return { allowed: false, reason: 'userRate', retryAfterMs: userRate.windowMs - (now - userWindow[0]) };
+        }
+
+        if (groupId) {
+            const groupWindow = this.pruneWindow(this.windows.groups, groupId, groupRate.windowMs, now);
+            if (groupRate.count > 0 && groupWindow.length >= groupRate.count) {
+                return { allowed: false, reason: 'groupRate', retryAfterMs: groupRate.windowMs - (now - groupWindow[0]) };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * 记录一次请求
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     */
+    hit(userId, groupId) {
+        const now = Date.now();
+        this.windows.users.set(userId, [...(this.windows.users.get(userId) || []), now]);
+        if (groupId) {
+            this.windows.groups.set(groupId, [...(this.windows.groups.get(groupId) || []), now]);
+        }
+    }
+
+    /**
+     * 累计token用量，延迟保存到文件
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @param {number} tokens token数
+     */
+    addTokens(userId, groupId, tokens) {
+        if (!tokens) return;
+        this.rollOverIfNeeded();
+        this.usage.users[userId] = (this.usage.users[userId] || 0) + tokens;
+        if (groupId) {
+            this.usage.groups[groupId] = (this.usage.groups[groupId] || 0) + tokens;
+        }
+        this.scheduleFlush();
+    }
+
+    /**
+     * 生成被限制时的提示语
+     * @param {Object} result check() 的返回值
+     * @returns {string} 提示语
+     */
+    getLimitMessage(result) {
+        const seconds = Math.max(1, Math.ceil((result.retryAfterMs || 0) / 1000));
+        switch (result.reason) {
+            case 'userRate':
+                return `你问得太快啦，休息一下，${seconds} 秒后再来吧~`;
+            case 'groupRate':
+                return `大家问得太频繁啦，请 ${seconds} 秒后再试~`;
+            case 'userDaily':
+                return '你今天的AI额度已经用完啦，明天再来找我聊天吧~';
+            case 'groupDaily':
+                return '本群今天的AI额度已经用完啦，明天再来吧~';
+            default:
+                return '请求太频繁了，请稍后再试~';
+        }
+    }
+
+    /**
+     * 解析频率限制参数，格式为 次数/秒数，例如 5/60
+     * @param {string} value 参数
+     * @returns {{count: number, windowMs: number}|null} 频率限制
+     */
+    parseRate(value) {
+        const match = /^(\d+)\/(\d+)$/.exec(value || '');
+        if (!match || Number(match[2]) === 0) return null;
+        return { count: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+    }
+
+    /**
+     * 处理额度管理命令
+     * @param {Array<string>} args 命令参数
+     * @returns {string} 处理结果
+     */
+    handleCommand(args) {
+        this.rollOverIfNeeded();
+        const subCommand = (args[0] || '').toLowerCase();
+        const usage = '可用命令: quota, quota user <QQ号>, quota group <群号>, quota set <userRate|groupRate> <次数/秒数>, quota set <userDaily|groupDaily> <token数，0为不限>, quota reset <QQ号|群号>';
+
+        if (!subCommand) {
+            const { userRate, groupRate, userDailyTokens, groupDailyTokens } = this.limits;
+            const topUsers = Object.entries(this.usage.users)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 5)
+                .map(([id, tokens]) => `  ${id}: ${tokens}`)
+                .join('\n');
+
+            let result = '📊 AI额度设置\n';
+            result += `用户频率: ${userRate.count} 次/${userRate.windowMs / 1000} 秒\n`;
+            result += `群频率: ${groupRate.count} 次/${groupRate.windowMs / 1000} 秒\n`;
+            result += `用户每日额度: ${userDailyTokens || '不限'} tokens\n`;
+            result += `群每日额度: ${groupDailyTokens || '不限'} tokens\n`;
+            result += `\n今日(${this.usage.date})用量最高的用户:\n${topUsers || '  无'}\n`;
+            result += usage;
+            return result;
+        }
+
+        if (subCommand === 'user' && args[1]) {
+            const used = this.usage.users[args[1]] || 0;
+            return `用户 ${args[1]} 今日已用 ${used} tokens，额度 ${this.limits.userDailyTokens || '不限'}`;
+        }
+
+        if (subCommand === 'group' && args[1]) {
+            const used = this.usage.groups[args[1]] || 0;
+            return `群 ${args[1]} 今日已用 ${used} tokens，额度 ${this.limits.groupDailyTokens || '不限'}`;
+        }
+
+        if (subCommand === 'set' && args[1] && args[2]) {
+            const key = args[1].toLowerCase();
+            if (key === 'userrate' || key === 'grouprate') {
+                const rate = this.parseRate(args[2]);
+                if (!rate) return '频率格式不正确，应为 次数/秒数，例如 5/60';
+                this.limits[key === 'userrate' ? 'userRate' : 'groupRate'] = rate;
+                this.save();
+                return `已将${key === 'userrate' ? '用户' : '群'}频率限制设置为 ${rate.count} 次/${rate.windowMs / 1000} 秒`;
+            }
+            if (key === 'userdaily' || key === 'groupdaily') {
+                const tokens = parseInt(args[2], 10);
+                if (isNaN(tokens) || tokens < 0) return '额度必须是不小于0的整数';
+                this.limits[key === 'userdaily' ? 'userDailyTokens' : 'groupDailyTokens'] = tokens;
+                this.save();
+                return `已将${key === 'userdaily' ? '用户' : '群'}每日额度设置为 ${tokens || '不限'} tokens`;
+            }
+            return `未知的限制项 ${args[1]}\n${usage}`;
+        }
+
+        if (subCommand === 'reset' && args[1]) {
+            delete this.usage.users[args[1]];
+            delete this.usage.groups[args[1]];
+            this.windows.users.delete(args[1]);
+            this.windows.groups.delete(args[1]);
+            this.save();
+            return `已重置 ${args[1]} 今日的额度和频率记录`;
+        }
+
+        return usage;
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,116 @@
+/**
+ * 工具注册中心 - 供AI助手调用其他插件提供的功能（Function Calling）
+ * 各插件在 init() 中注册工具，在 destroy() 中注销：
+ *
+ *   toolRegistry.register({
+ *       name: 'get_server_status',
+ *       description: '查询机器人所在服务器的运行状态',
+ *       parameters: { type: 'object', properties: {} },
+ *       owner: this.name,
+ *       handler: async (args, context) => this.getServerInfo()
+ *   });
+ *
+ * handler 的 context 为 { userId, groupId }，返回值会被转成字符串交给模型。
+ * 所有插件通过 require 缓存共享同一个注册中心实例。
+ */
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map(); // 工具名 -> 工具定义
+    }
+
+    /**
+     * 注册工具，同名工具会被覆盖
+     * @param {Object} tool 工具定义 { name, description, parameters, handler, owner }
+     */
+    register(tool) {
+        if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+            throw new Error(`工具名不合法: ${tool.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`工具 ${tool.name} 缺少处理函数`);
+        }
+
+        this.tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.parameters || { type: 'object', properties: {} },
+            handler: tool.handler,
+            owner: tool.owner || '未知插件'
+        });
+        console.log(`[工具注册中心] ${tool.owner || '未知插件'} 注册了工具 ${tool.name}`);
+    }
+
+    /**
+     * 注销工具
+     * @param {string} name 工具名
+     */
+    unregister(name) {
+        this.tools.delete(name);
+    }
+
+    /**
+     * 注销某个插件注册的全部工具
+     * @param {string} owner 插件名
+     */
+    unregisterOwner(owner) {
+        for (const [name, tool] of this.tools) {
+            if (tool.owner === owner) {
+                this.tools.delete(name);
+            }
+        }
+    }
+
+    /**
+     * 获取已注册的工具列表
+     * @returns {Array<Object>} 工具定义
+     */
+    list() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * 是否注册了工具
+     * @returns {boolean} 是否有可用工具
+     */
+    hasTools() {
+        return this.tools.size > 0;
+    }
+
+    /**
+     * 获取发送给模型的工具描述
+     * @returns {Array<{name: string, description: string, parameters: Object}>} 工具描述
+     */
+    getDefinitions() {
+        return this.list().map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    }
+
+    /**
+     * 执行工具
+     * @param {string} name 工具名
+     * @param {Object} args 模型给出的参数
+     * @param {Object} context 调用上下文 { userId, groupId }
+     * @returns {Promise<{success: boolean, output: string}>} 执行结果，output 为交给模型的文本
+     */
+    async execute(name, args, context) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return { success: false, output: JSON.stringify({ error: `工具 ${name} 不存在` }) };
+        }
+
+        try {
+            const result = await tool.handler(args || {}, context || {});
+            const output = typeof result === 'string' ? result : JSON.stringify(result);
+            return { success: true, output: output === undefined ? '' : output };
+        } catch (error) {
+            console.error(`[工具注册中心] 执行工具 ${name} 失败:`, error);
+            return { success: false, output: JSON.stringify({ error: error.message || '工具执行失败' }) };
+        }
+    }
+}
+
+module.exports = new ToolRegistry();
@@ -0,0 +1,267 @@
+/**
+ * 用量统计 - 记录AI插件每次调用模型的用量，生成按天/周/月的统计报告
+ *   - 每次调用追加一行JSON: { time, source, provider, model, userId, groupId, promptTokens, completionTokens, estimated, latencyMs, error, cost }
+ *   - source 区分调用的用途：chat 为回复用户，summary、memory 等为后台调用，preview 为人设预览，没有记录时按 chat 统计
+ *   - 接口未返回用量（或只返回了一部分）时按字数估算，estimated 为 true；
+ *     各插件都用 UsageLog.countTokens 计算，额度和用量统计使用同一个估算方法
+ *   - 费用按提供方配置中的 price 估算，单位为 元/百万token，例如 { prompt: 2, completion: 8 }
+ *   - error 为 llm-providers 的错误码（timeout、rate_limited 等），成功时为空
+ */
+const fs = require('fs');
+
+// 统计周期
+const PERIODS = {
+    day: '今天',
+    week: '最近7天',
+    month: '最近30天'
+};
+
+// 调用用途 -> 报告中的名称，未列出的用途直接显示原名
+const SOURCES = {
+    chat: '对话',
+    summary: '上下文摘要',
+    memory: '记忆提取',
+    preview: '人设预览'
+};
+
+/**
+ * 估算文本的token数
+ * 中文（含日韩文字和全角标点）约0.6 token/字，其余字符约0.3 token/字
+ * @param {string} text 文本
+ * @returns {number} 估算的token数
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const cjkCount = (text.match(/[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+    const otherCount = text.length - cjkCount;
+    return Math.ceil(cjkCount * 0.6 + otherCount * 0.3);
+}
+
+/**
+ * 估算消息数组的token数，每条消息额外计入角色等开销
+ * @param {Array} messages 消息数组
+ * @returns {number} 估算的token数
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((sum, msg) => sum + estimateTokens(msg.content) + 4, 0);
+}
+
+/**
+ * 计算一次调用的token数，接口返回的用量缺少哪一项就估算哪一项
+ * @param {Object|null} usage 接口返回的用量 { prompt_tokens, completion_tokens, total_tokens }
+ * @param {Array} messages 发送的消息列表
+ * @param {string} reply 模型回复
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}} token数，estimated 表示其中有估算的部分
+ */
+function countTokens(usage, messages, reply) {
+    const hasPrompt = !!usage && usage.prompt_tokens !== undefined;
+    const hasCompletion = !!usage && usage.completion_tokens !== undefined;
+    const promptTokens = hasPrompt ? usage.prompt_tokens : estimateMessagesTokens(messages || []);
+    const completionTokens = hasCompletion ? usage.completion_tokens : estimateTokens(reply || '');
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: hasPrompt && hasCompletion && usage.total_tokens ? usage.total_tokens : promptTokens + completionTokens,
+        estimated: !hasPrompt || !hasCompletion
+    };
+}
+
+class UsageLog {
+    /**
+     * @param {string} name 日志前缀（一般为插件名）
+     * @param {string} filePath 用量记录文件路径
+     */
+    constructor(name, filePath) {
+        this.name = name;
+        this.filePath = filePath;
+        this.topCount = 5; // 报告中列出用量最高的前几名
+    }
+
+    /**
+     * 估算费用
+     * @param {number} promptTokens 输入token数
+     * @param {number} completionTokens 输出token数
+     * @param {Object|undefined} price 价格 { prompt, completion }，单位为 元/百万token
+     * @returns {number} 费用（元），未配置价格时为0
+     */
+    estimateCost(promptTokens, completionTokens, price) {
+        if (!price) return 0;
+        return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1000000;
+    }
+
+    /**
+     * 追加一条调用记录
+     * @param {Object} entry 调用信息 { source, provider, model, userId, groupId, promptTokens, completionTokens, estimated, latencyMs, error, price }
+     */
+    record(entry) {
+        const promptTokens = entry.promptTokens || 0;
+        const completionTokens = entry.completionTokens || 0;
+        const line = {
+            time: Date.now(),
+            source: entry.source || 'chat',
+            provider: entry.provider,
+            model: entry.model,
+            userId: entry.userId || null,
+            groupId: entry.groupId || null,
+            promptTokens,
+            completionTokens,
+            estimated: !!entry.estimated,
+            latencyMs: entry.latencyMs || 0,
+            error: entry.error || null,
+            cost: this.estimateCost(promptTokens, completionTokens, entry.price)
+        };
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(line) + '\n', 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 写入用量记录失败:`, error);
+        }
+    }
+
+    /**
+     * 获取统计周期的起始时间
+     * @param {string} period day/week/month
+     * @returns {number} 起始时间戳，day 从今天0点开始
+     */
+    getPeriodStart(period) {
+        if (period === 'day') {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            return today.getTime();
+        }
+        return Date.now() - (period === 'week' ? 7 : 30) * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * 读取某个时间之后的调用记录
+     * @param {number} since 起始时间戳
+     * @returns {Array<Object>} 调用记录
+     */
+    read(since) {
+        try {
+            if (!fs.existsSync(this.filePath)) return [];
+            const entries = [];
+            for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.time >= since) entries.push(entry);
+                } catch (error) {
+                    // 跳过写了一半的行
+                }
+            }
+            return entries;
+        } catch (error) {
+            console.error(`[${this.name}] 读取用量记录失败:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 汇总调用记录
+     * @param {Array<Object>} entries 调用记录
+     * @returns {Object} 汇总结果 { calls, errors, promptTokens, completionTokens, cost, latencyMs, errorTypes, sources, users, groups, models }
+     */
+    summarize(entries) {
+        const summary = {
+            calls: entries.length,
+            errors: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            cost: 0,
+            latencyMs: 0,
+            errorTypes: {},
+            sources: {},
+            users: {},
+            groups: {},
+            models: {}
+        };
+        const add = (table, key, entry, tokens) => {
+            const item = table[key] || (table[key] = { calls: 0, errors: 0, tokens: 0, cost: 0 });
+            item.calls++;
+            item.tokens += tokens;
+            item.cost += entry.cost || 0;
+            if (entry.error) item.errors++;
+        };
+
+        for (const entry of entries) {
+            const tokens = (entry.promptTokens || 0) + (entry.completionTokens || 0);
+            summary.promptTokens += entry.promptTokens || 0;
+            summary.completionTokens += entry.completionTokens || 0;
+            summary.cost += entry.cost || 0;
+            summary.latencyMs += entry.latencyMs || 0;
+            if (entry.error) {
+                summary.errors++;
+                summary.errorTypes[entry.error] = (summary.errorTypes[entry.error] || 0) + 1;
+            }
+            add(summary.sources, entry.source || 'chat', entry, tokens);
+            add(summary.users, entry.userId || '未知', entry, tokens);
+            add(summary.groups, entry.groupId || '私聊', entry, tokens);
+            add(summary.models, `${entry.provider}/${entry.model}`, entry, tokens);
+        }
+        return summary;
+    }
+
+    /**
+     * 格式化百分比
+     * @param {number} part 部分
+     * @param {number} total 总数
+     * @returns {string} 百分比
+     */
+    formatRate(part, total) {
+        return total > 0 ? `${(part / total * 100).toFixed(1)}%` : '0%';
+    }
+
+    /**
+     * 生成统计报告
+     * @param {string} period day/week/month
+     * @returns {string} 报告文本
+     */
+    formatReport(period) {
+        const summary = this.summarize(this.read(this.getPeriodStart(period)));
+        if (summary.calls === 0) {
+            return `${PERIODS[period]}没有调用记录`;
+        }
+
+        const top = (table, label) => Object.entries(table)
+            .sort((a, b) => b[1].tokens - a[1].tokens)
+            .slice(0, this.topCount)
+            .map(([id, item]) => `  ${label(id)}: ${item.calls} 次，${item.tokens} tokens，¥${item.cost.toFixed(4)}${item.errors ? `，失败 ${item.errors} 次` : ''}`)
+            .join('\n');
+        const errorTypes = Object.entries(summary.errorTypes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([code, count]) => `${code} ${count}`)
+            .join('，');
+
+        let result = `📈 AI用量统计（${PERIODS[period]}）\n`;
+        result += `调用: ${summary.calls} 次，失败 ${summary.errors} 次（${this.formatRate(summary.errors, summary.calls)}）${errorTypes ? `: ${errorTypes}` : ''}\n`;
+        result += `tokens: 输入 ${summary.promptTokens}，输出 ${summary.completionTokens}\n`;
+        result += `估算费用: ¥${summary.cost.toFixed(4)}\n`;
+        result += `平均耗时: ${Math.round(summary.latencyMs / summary.calls)}ms\n`;
+        result += `用途:\n${top(summary.sources, id => SOURCES[id] || id)}\n`;
+        result += `模型:\n${top(summary.models, id => id)}\n`;
+        result += `用量最高的用户:\n${top(summary.users, id => id)}\n`;
+        result += `用量最高的群:\n${top(summary.groups, id => id === '私聊' ? id : `群 ${id}`)}`;
+        return result;
+    }
+
+    /**
+     * 处理统计命令
+     * @param {Array<string>} args 命令参数，第一个为统计周期
+     * @returns {string} 处理结果
+     */
+    handleCommand(args) {
+        const period = (args[0] || 'day').toLowerCase();
+        if (!PERIODS[period]) {
+            return `统计周期只能是 ${Object.keys(PERIODS).join('/')}`;
+        }
+        return this.formatReport(period);
+    }
+}
+
+UsageLog.PERIODS = PERIODS;
+UsageLog.SOURCES = SOURCES;
+UsageLog.estimateTokens = estimateTokens;
+UsageLog.estimateMessagesTokens = estimateMessagesTokens;
+UsageLog.countTokens = countTokens;
+
+module.exports = UsageLog;
@@ -1,19 +1,97 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { createProvider, groupProviders, getErrorMessage, toLLMError, LLMError } = require('../common/llm-providers');
+const RateLimiter = require('../common/rate-limiter');
+const UsageLog = require('../common/usage-log');
+const MemoryStore = require('../common/memory-store');
+const { parseCron, getNextRun } = require('../common/cron');
+const ContentModerator = require('../common/moderation');
+const { parseCQMessage, segmentsToText, extractImageUrls, unescapeCQ } = require('../common/cq-code');
+const toolRegistry = require('../common/tool-registry');
+const MessageDelivery = require('../common/message-delivery');
 
 class DeepSeekPlugin {
     constructor(client) {
         this.client = client;
         this.name = 'DeepSeek对话插件';
         this.description = '基于DeepSeek API的智能对话插件，输入ai+内容来对话';
-        this.apiKey = 'sk-'; // 需要设置API密钥
-        this.apiUrl = 'https://api.deepseek.com/v1/chat/completions';
-        this.model = 'deepseek-chat';
         this.temperature = 0.7;
         this.maxTokens = 2000;
         
-        // 设置AI身份
+        // 模型提供方配置，type 可选 openai（OpenAI兼容接口）、ollama（本地模型）、echo（离线测试）
+        // 支持识图的模型设置 vision: true，图片会作为图片输入转发；其余模型只能看到[图片]占位符
+        // 容错配置: timeoutMs（请求超时）、streamIdleTimeoutMs（流式回复中途多久没有数据算超时，默认同 timeoutMs）、maxRetries（429/5xx/超时的重试次数）、circuitThreshold/circuitCooldownMs（连续失败几次后暂停多久）
+        // price 用于估算费用，单位为 元/百万token，不填时费用按0计算
+        this.providers = {
+            deepseek: {
+                type: 'openai',
+                baseUrl: 'https://api.deepseek.com/v1',
+                apiKey: 'sk-', // 需要设置API密钥
+                model: 'deepseek-chat',
+                timeoutMs: 60000,
+                maxRetries: 2,
+                price: { prompt: 2, completion: 8 }
+            },
+            ollama: {
+                type: 'ollama',
+                baseUrl: 'http://127.0.0.1:11434',
+                model: 'qwen2.5',
+                timeoutMs: 120000, // 本地模型生成较慢
+                maxRetries: 1
+            },
+            echo: {
+                type: 'echo'
+            }
+        };
+        this.defaultProvider = 'deepseek';
+        this.providerInstances = {}; // 已创建的提供方实例缓存
+        this.maxImagesPerMessage = 4; // 每条消息最多转发给模型的图片数量
+        
+        // 触发方式: prefix（以命令前缀或别名开头）、at（艾特机器人）、reply（回复机器人的消息），每个群可单独开关
+        this.triggerTypes = {
+            prefix: '以命令前缀开头',
+            at: '艾特机器人',
+            reply: '回复机器人的消息'
+        };
+        
+        // 命令前缀配置，修改 commands.json 后可用 ai admin reload 重新加载
+        //   prefixes: 命令前缀，例如 ["ai"]，ai clear、ai admin 等命令都以前缀开头
+        //   aliases: 别名 -> 展开后的命令，空字符串表示直接对话，例如 { "小林": "", "/chat": "", "/clear": "clear" }
+        //   caseSensitive: 前缀和命令是否区分大小写
+        this.commandConfigPath = path.join(__dirname, 'commands.json');
+        this.commandConfig = {
+            prefixes: ['ai'],
+            aliases: {},
+            caseSensitive: false
+        };
+        this.commandTriggers = []; // 按长度从长到短排列的 { trigger, expansion }
+        
+        // 群组设置（每个群可单独选择人设、上下文范围和触发方式；提供方和模型保存在 common/llm-providers 的共用设置中）
+        this.groupSettingsPath = path.join(__dirname, 'group_settings.json');
+        this.groupSettings = {};
+        
+        // 工具调用配置（工具由其他插件注册到 common/tool-registry）
+        this.toolsEnabled = true; // 是否允许模型调用工具
+        this.maxToolHops = 3; // 单次对话最多进行几轮工具调用
+        this.toolOutputMaxChars = 3000; // 交给模型的单个工具结果最大长度
+        this.toolAuditPath = path.join(__dirname, 'tool_audit.log'); // 工具调用审计日志，每行一条JSON
+        
+        // 回复发送方式: auto（长回复合并转发）、forward、split（按句子切分）、single；Markdown 会转换为适合QQ阅读的排版
+        this.delivery = new MessageDelivery(client, { name: this.name, strategy: 'auto', onSent: (result) => this.rememberSentMessage(result) });
+        
+        // 机器人最近发出的消息ID，回复触发只对回复了这些消息的消息调用 get_msg
+        this.sentMessageIds = new Set();
+        this.sentMessageLimit = 500;
+        
+        // 流式回复配置
+        this.streamEnabled = false; // 是否启用流式回复（边生成边分段发送）
+        this.streamPlaceholder = '小林正在思考…'; // 流式回复开始前发送的占位消息
+        this.streamMinChunkLength = 30; // 每段消息的最小长度，避免刷屏
+        
+        // 设置AI身份（默认人设，其他人设保存在 personas 目录，每个群可单独切换）
+        this.defaultPersona = '小林';
+        this.personaDir = path.join(__dirname, 'personas');
+        this.personas = {}; // 人设名 -> { name, prompt, createdBy, createdAt, updatedAt }
         this.systemPrompt = `你是一个名为"小林"的AI助手，具有以下特点：
 1. 性格活泼开朗，喜欢用表情符号
 2. 回答简洁明了，不超过200字
@@ -22,20 +100,85 @@ class DeepSeekPlugin {
 5. 如果遇到不懂的问题，会诚实地表示不知道
 6. 在群聊中会注意保持适当的社交礼仪`;
         
-        // 主人配置
-        this.masters = ["2259596781"]; // 主人的QQ号列表
+        // 角色配置，保存在 roles.json
+        //   owner: 所有者，拥有全部权限且不能被移除，只有所有者可以任免主人
+        //   masters: 全局主人，可以执行所有管理命令
+        //   moderators: 群号 -> 群管理员列表，只能在自己的群里封禁用户和清除上下文
+        this.rolesPath = path.join(__dirname, 'roles.json');
+        this.roles = {
+            owner: '2259596781',
+            masters: [],
+            moderators: {}
+        };
+        this.moderatorActions = ['ban', 'unban', 'blacklist', 'clear', 'role']; // 群管理员可以使用的管理命令
         
-        // 黑名单配置
+        // 黑名单配置，每条记录为 { id, reason, operator, createdAt, expiresAt, groupId? }，expiresAt 为空表示永久，
+        // 用户封禁带有 groupId 时只在该群生效（由群管理员添加）
         this.blacklistPath = path.join(__dirname, 'blacklist.json');
         this.blacklist = {
             users: [],
             groups: []
         };
         
+        // 私聊权限配置，mode 为 deny 时名单内的用户不能私聊，为 allow 时只有名单内的用户可以私聊
+        this.privateAccessPath = path.join(__dirname, 'private_access.json');
+        this.privateAccess = {
+            mode: 'deny',
+            users: []
+        };
+        
+        // 频率限制与每日额度（主人不受限制）
+        this.rateLimiter = new RateLimiter(this.name, path.join(__dirname, 'quota.json'));
+        
+        // 用量统计（每次调用模型追加一行记录，ai admin stats 查看报告）
+        this.usageLog = new UsageLog(this.name, path.join(__dirname, 'usage_log.jsonl'));
+        
+        // 内容审核（同时检查用户输入和模型回复，每个群可单独设置严格程度）
+        this.moderator = new ContentModerator(this.name, path.join(__dirname, 'moderation.json'), path.join(__dirname, 'moderation_log.jsonl'));
+        
         // 上下文配置
         this.contextDir = path.join(__dirname, 'contexts');
-        this.contextMaxMessages = 10; // 每个用户保存的最大消息数量
-        this.contexts = {}; // 内存中的上下文缓存
+        this.contextMaxTokens = 3000; // 每个上下文保留的历史消息token预算（估算值）
+        this.summaryMaxChars = 300; // 被移出消息的滚动摘要最大字数
+        this.contexts = {}; // 内存中的上下文缓存，键为上下文标识，值为 { summary, messages }
+        this.summaryTasks = {}; // 正在进行的摘要任务，保证同一上下文按顺序更新
+        // 上下文范围: user（每个用户一份，跨群共享）、member（每个用户在每个群各一份）、group（全群共享一份）
+        this.contextScopes = {
+            user: '按用户，跨群共享',
+            member: '按群成员，每个群单独',
+            group: '全群共享'
+        };
+        this.defaultContextScope = 'user';
+        
+        // 长期记忆（按用户保存，对话时把相关的事实注入系统提示词）
+        // 用户可用 ai remember / ai forget / ai memories 管理；开启自动记忆时，每积累几条消息由模型提议新的事实
+        this.memory = new MemoryStore(this.name, path.join(__dirname, 'memories.json'));
+        this.memoryAutoExtract = true; // 是否允许模型自动提议记忆（用户也可以单独关闭）
+        this.memoryExtractEvery = 5; // 每个用户积累几条消息后提议一次
+        this.memoryBuffers = {}; // 用户ID -> 尚未提议过记忆的消息
+        this.memoryTasks = {}; // 正在进行的提议任务，保证同一用户按顺序更新
+        
+        // 对话导出配置
+        this.exportDir = path.join(__dirname, 'exports'); // 导出文件的临时目录，上传后删除
+        this.exportFormats = {
+            md: 'Markdown',
+            txt: '纯文本',
+            json: 'JSON备份，可用 ai admin import 恢复'
+        };
+        this.exportDelivery = 'file'; // 默认发送方式: file（上传文件）或 forward（合并转发），上传失败时自动改用合并转发
+        this.exportForwardMaxNodes = 80; // 合并转发最多包含的消息条数，超出时只转发最近的消息
+        this.roleNames = { user: '用户', assistant: '助手', system: '系统' };
+        
+        // 定时消息（主人在群里设置，按cron表达式定时让AI发一条消息，例如早安问候、每日小知识）
+        // 每条定时消息使用单独的上下文，能记得之前发过的内容，避免重复
+        this.schedulesPath = path.join(__dirname, 'schedules.json');
+        this.schedules = []; // { id, groupId, cron, prompt, createdBy, createdAt, lastRunAt }
+        this.nextScheduleId = 1;
+        this.nextRunTimes = {}; // 定时消息ID -> 下一次执行时间戳，重启后从当前时间重新计算
+        this.scheduleCheckIntervalMs = 30 * 1000; // 检查间隔
+        this.maxSchedulesPerGroup = 10;
+        this.scheduleTimer = null;
+        this.selfId = null; // 机器人自己的QQ号，从收到的消息中获取，用于合并转发的发送者
         
         console.log(`[${this.name}] 插件已加载`);
     }
@@ -44,15 +187,66 @@ class DeepSeekPlugin {
      * 插件初始化方法
      */
     async init() {
+        // 加载角色
+        this.loadRoles();
+        
         // 加载黑名单
         await this.loadBlacklist();
         
+        // 加载群组设置和各插件共用的群组提供方设置
+        this.loadGroupSettings();
+        groupProviders.load();
+        this.migrateGroupProviders();
+        
+        // 加载额度数据
+        this.rateLimiter.load();
+        
+        // 加载长期记忆
+        this.memory.load();
+        
+        // 加载定时消息并启动定时器
+        this.loadSchedules();
+        this.scheduleTimer = setInterval(() => {
+            this.runDueSchedules().catch(error => console.error(`[${this.name}] 执行定时消息出错:`, error));
+        }, this.scheduleCheckIntervalMs);
+        
+        // 加载审核配置
+        this.moderator.load();
+        
+        // 加载私聊权限
+        this.loadPrivateAccess();
+        
         // 确保上下文目录存在
         this.ensureContextDirectory();
         
+        // 迁移旧版上下文文件
+        this.migrateLegacyContexts();
+        
+        // 加载人设
+        this.loadPersonas();
+        
+        // 加载命令前缀配置
+        this.loadCommandConfig();
+        
         console.log(`[${this.name}] 插件初始化完成`);
     }
     
+    /**
+     * 插件卸载方法，用于清理资源
+     */
+    async destroy() {
+        // 清除定时器
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
+        
+        // 写入还没保存的额度用量
+        this.rateLimiter.flush();
+        
+        console.log(`[${this.name}] 插件已卸载`);
+    }
+    
     /**
      * 确保上下文目录存在
      */
@@ -68,349 +262,2749 @@ class DeepSeekPlugin {
     }
     
     /**
-     * 获取用户上下文文件路径
+     * 将旧版 contexts/<userId>.json 迁移到 contexts/users/<userId>.json
+     */
+    migrateLegacyContexts() {
+        try {
+            const legacyFiles = fs.readdirSync(this.contextDir)
+                .filter(file => file.endsWith('.json') && fs.statSync(path.join(this.contextDir, file)).isFile());
+            if (legacyFiles.length === 0) return;
+            
+            const usersDir = path.join(this.contextDir, 'users');
+            fs.mkdirSync(usersDir, { recursive: true });
+            
+            let migrated = 0;
+            for (const file of legacyFiles) {
+                const target = path.join(usersDir, file);
+                if (fs.existsSync(target)) {
+                    console.warn(`[${this.name}] 上下文 ${target} 已存在，跳过迁移 ${file}`);
+                    continue;
+                }
+                fs.renameSync(path.join(this.contextDir, file), target);
+                migrated++;
+            }
+            
+            console.log(`[${this.name}] 已将 ${migrated} 个旧版上下文文件迁移到 ${usersDir}`);
+        } catch (error) {
+            console.error(`[${this.name}] 迁移旧版上下文失败:`, error);
+        }
+    }
+    
+    /**
+     * 获取群组的上下文范围
+     * @param {string} groupId 群组ID
+     * @returns {string} 上下文范围 user/member/group
+     */
+    getContextScope(groupId) {
+        const settings = (groupId && this.groupSettings[groupId]) || {};
+        return this.contextScopes[settings.contextScope] ? settings.contextScope : this.defaultContextScope;
+    }
+    
+    /**
+     * 根据上下文范围获取上下文标识，同时也是相对于上下文目录的文件路径
      * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID，私聊时为空
+     * @returns {string} 上下文标识
+     */
+    getContextKey(userId, groupId) {
+        // 私聊使用单独的上下文
+        if (!groupId) {
+            return `private/${userId}`;
+        }
+        
+        const scope = this.getContextScope(groupId);
+        if (scope === 'group') {
+            return `groups/${groupId}/shared`;
+        }
+        if (scope === 'member') {
+            return `groups/${groupId}/members/${userId}`;
+        }
+        return `users/${userId}`;
+    }
+    
+    /**
+     * 获取上下文文件路径
+     * @param {string} contextKey 上下文标识
      * @returns {string} 文件路径
      */
-    getUserContextPath(userId) {
-        return path.join(this.contextDir, `${userId}.json`);
+    getContextPath(contextKey) {
+        return path.join(this.contextDir, `${contextKey}.json`);
     }
     
     /**
-     * 加载用户上下文
-     * @param {string} userId 用户ID
-     * @returns {Array} 上下文消息数组
+     * 创建空上下文
+     * @returns {{summary: string, messages: Array}} 空上下文
+     */
+    createEmptyContext() {
+        return { summary: '', messages: [] };
+    }
+    
+    /**
+     * 加载上下文
+     * @param {string} contextKey 上下文标识
+     * @returns {{summary: string, messages: Array}} 上下文（滚动摘要和消息数组）
      */
-    loadUserContext(userId) {
+    loadContext(contextKey) {
         // 如果内存中已有缓存，直接返回
-        if (this.contexts[userId]) {
-            return this.contexts[userId];
+        if (this.contexts[contextKey]) {
+            return this.contexts[contextKey];
         }
         
-        const contextPath = this.getUserContextPath(userId);
+        const contextPath = this.getContextPath(contextKey);
         try {
             if (fs.existsSync(contextPath)) {
-                const data = fs.readFileSync(contextPath, 'utf8');
-                this.contexts[userId] = JSON.parse(data);
-                console.log(`[${this.name}] 已加载用户 ${userId} 的上下文，共 ${this.contexts[userId].length} 条消息`);
+                const data = JSON.parse(fs.readFileSync(contextPath, 'utf8'));
+                // 旧版文件只保存了消息数组
+                this.contexts[contextKey] = Array.isArray(data)
+                    ? { summary: '', messages: data }
+                    : { summary: data.summary || '', messages: data.messages || [] };
+                console.log(`[${this.name}] 已加载上下文 ${contextKey}，共 ${this.contexts[contextKey].messages.length} 条消息`);
             } else {
                 // 创建空上下文
-                this.contexts[userId] = [];
+                this.contexts[contextKey] = this.createEmptyContext();
             }
         } catch (error) {
-            console.error(`[${this.name}] 加载用户 ${userId} 的上下文失败:`, error);
-            this.contexts[userId] = [];
+            console.error(`[${this.name}] 加载上下文 ${contextKey} 失败:`, error);
+            this.contexts[contextKey] = this.createEmptyContext();
         }
         
-        return this.contexts[userId];
+        return this.contexts[contextKey];
     }
     
     /**
-     * 保存用户上下文
-     * @param {string} userId 用户ID
+     * 保存上下文
+     * @param {string} contextKey 上下文标识
      */
-    saveUserContext(userId) {
-        if (!this.contexts[userId]) return;
+    saveContext(contextKey) {
+        if (!this.contexts[contextKey]) return;
         
-        const contextPath = this.getUserContextPath(userId);
+        const contextPath = this.getContextPath(contextKey);
         try {
-            fs.writeFileSync(contextPath, JSON.stringify(this.contexts[userId], null, 2), 'utf8');
-            console.log(`[${this.name}] 已保存用户 ${userId} 的上下文，共 ${this.contexts[userId].length} 条消息`);
+            fs.mkdirSync(path.dirname(contextPath), { recursive: true });
+            fs.writeFileSync(contextPath, JSON.stringify(this.contexts[contextKey], null, 2), 'utf8');
+            console.log(`[${this.name}] 已保存上下文 ${contextKey}，共 ${this.contexts[contextKey].messages.length} 条消息`);
         } catch (error) {
-            console.error(`[${this.name}] 保存用户 ${userId} 的上下文失败:`, error);
+            console.error(`[${this.name}] 保存上下文 ${contextKey} 失败:`, error);
         }
     }
     
     /**
-     * 添加消息到用户上下文
-     * @param {string} userId 用户ID
+     * 添加消息到上下文，超出token预算时移出最早的消息
+     * @param {string} contextKey 上下文标识
      * @param {string} role 角色 (user/assistant)
      * @param {string} content 消息内容
+     * @returns {Array} 被移出上下文的消息
      */
-    addMessageToContext(userId, role, content) {
-        // 加载用户上下文
-        const context = this.loadUserContext(userId);
+    addMessageToContext(contextKey, role, content) {
+        // 加载上下文
+        const context = this.loadContext(contextKey);
         
         // 添加新消息
-        context.push({
+        context.messages.push({
             role,
             content,
             timestamp: Date.now()
         });
         
-        // 如果超过最大消息数，移除最早的消息
-        if (context.length > this.contextMaxMessages) {
-            context.shift();
+        // 超出预算时移除最早的消息，至少保留最新的一条
+        const evicted = [];
+        while (context.messages.length > 1 && UsageLog.estimateMessagesTokens(context.messages) > this.contextMaxTokens) {
+            evicted.push(context.messages.shift());
         }
         
         // 保存更新后的上下文
-        this.saveUserContext(userId);
+        this.saveContext(contextKey);
+        
+        return evicted;
+    }
+    
+    /**
+     * 记录一轮对话，并把被移出的消息合并进滚动摘要
+     * @param {string} contextKey 上下文标识
+     * @param {string} userContent 用户消息
+     * @param {string} reply AI回复
+     * @param {string} groupId 群组ID，用于选择生成摘要的模型
+     * @param {string} userId 用户ID，生成摘要的用量计入该用户
+     */
+    recordExchange(contextKey, userContent, reply, groupId, userId) {
+        const evicted = [
+            ...this.addMessageToContext(contextKey, 'user', userContent),
+            ...this.addMessageToContext(contextKey, 'assistant', reply)
+        ];
+        
+        if (evicted.length === 0) return;
+        
+        // 摘要在后台生成，不阻塞本次回复；同一上下文的摘要任务排队执行
+        const previous = this.summaryTasks[contextKey] || Promise.resolve();
+        const task = previous
+            .then(() => this.summarizeEvictedMessages(contextKey, evicted, groupId, userId))
+            .catch(error => console.error(`[${this.name}] 更新上下文 ${contextKey} 的摘要失败:`, error))
+            .finally(() => {
+                if (this.summaryTasks[contextKey] === task) {
+                    delete this.summaryTasks[contextKey];
+                }
+            });
+        this.summaryTasks[contextKey] = task;
+    }
+    
+    /**
+     * 把被移出的消息与已有摘要合并成新的摘要
+     * @param {string} contextKey 上下文标识
+     * @param {Array} evicted 被移出的消息
+     * @param {string} groupId 群组ID
+     * @param {string} userId 触发摘要的用户ID，用量计入该用户
+     */
+    async summarizeEvictedMessages(contextKey, evicted, groupId, userId) {
+        const context = this.loadContext(contextKey);
+        const { provider, model } = this.resolveProvider(groupId);
+        
+        const transcript = evicted
+            .map(msg => `${msg.role === 'user' ? '用户' : '助手'}: ${msg.content}`)
+            .join('\n');
+        
+        const { content: summary } = await this.chatWithAccounting(provider, model, userId, groupId, 'summary', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `你负责压缩对话记录。请把已有摘要和新的对话片段合并成一段简洁的中文摘要，保留关键事实、用户偏好和尚未结束的话题，不要编造内容，不超过${this.summaryMaxChars}字，直接输出摘要正文。`
+                },
+                {
+                    role: 'user',
+                    content: `已有摘要：${context.summary || '无'}\n\n新的对话片段：\n${transcript}`
+                }
+            ],
+            temperature: 0.3,
+            maxTokens: this.summaryMaxChars * 2
+        });
+        
+        // 上下文可能在摘要生成期间被清除
+        if (this.contexts[contextKey] !== context) return;
+        
+        context.summary = summary.trim().substring(0, this.summaryMaxChars);
+        this.saveContext(contextKey);
+        console.log(`[${this.name}] 已将 ${evicted.length} 条消息合并进上下文 ${contextKey} 的摘要`);
+    }
+    
+    /**
+     * 记下用户的一条消息，积累到一定条数后在后台让模型提议新的长期记忆
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID，用于选择提议记忆的模型
+     * @param {string} text 用户消息（已审核的纯文本）
+     */
+    queueMemoryExtraction(userId, groupId, text) {
+        if (!this.memoryAutoExtract || !this.memory.isAutoExtractEnabled(userId) || !text) return;
+        
+        const buffer = this.memoryBuffers[userId] || (this.memoryBuffers[userId] = []);
+        buffer.push(text);
+        if (buffer.length < this.memoryExtractEvery) return;
+        delete this.memoryBuffers[userId];
+        
+        const previous = this.memoryTasks[userId] || Promise.resolve();
+        const task = previous
+            .then(() => this.extractMemories(userId, groupId, buffer))
+            .catch(error => console.error(`[${this.name}] 提议用户 ${userId} 的长期记忆失败:`, error))
+            .finally(() => {
+                if (this.memoryTasks[userId] === task) {
+                    delete this.memoryTasks[userId];
+                }
+            });
+        this.memoryTasks[userId] = task;
+    }
+    
+    /**
+     * 让模型从用户最近的消息中提议长期记忆，以JSON格式输出，经过审核后保存
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @param {Array<string>} texts 用户最近的消息
+     */
+    async extractMemories(userId, groupId, texts) {
+        // 用户可能在排队期间关闭了自动记忆
+        if (!this.memory.isAutoExtractEnabled(userId)) return;
+        
+        const { provider, model } = this.resolveProvider(groupId);
+        const known = this.memory.list(userId).map(fact => `- ${fact.text}`).join('\n');
+        
+        const { content } = await this.chatWithAccounting(provider, model, userId, groupId, 'memory', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `你负责整理用户的长期记忆。请从用户最近说的话中找出值得长期记住的、关于用户本人的事实，例如爱好、对你的称呼、常玩的游戏、正在做的事情。不要记录一次性的提问、临时状态、关于其他人的内容，以及手机号、住址、密码等隐私信息，也不要重复已有的记忆。每条事实用一句简短的中文描述，例如"喜欢玩Minecraft整合包"。只输出JSON，格式为 {"facts": ["事实1", "事实2"]}，没有需要记住的内容时输出 {"facts": []}。`
+                },
+                {
+                    role: 'user',
+                    content: `已有的记忆：\n${known || '无'}\n\n用户最近说的话：\n${texts.map(text => `- ${text}`).join('\n')}`
+                }
+            ],
+            temperature: 0.2,
+            maxTokens: 300,
+            json: true
+        });
+        
+        let added = 0;
+        for (const fact of this.memory.parseProposedFacts(content)) {
+            const check = this.moderator.review(fact, { userId, groupId, stage: 'output' });
+            if (!check.blocked && this.memory.add(userId, check.text, 'model').added) {
+                added++;
+            }
+        }
+        if (added > 0) {
+            console.log(`[${this.name}] 模型为用户 ${userId} 新增了 ${added} 条长期记忆`);
+        }
     }
     
     /**
-     * 清除用户上下文
+     * 处理长期记忆命令
+     *   remember <内容>            记住一条事实
+     *   forget <序号...|关键词|all> 删除记忆
+     *   memories [on|off]          查看记忆，或开关自动记忆
+     * @param {string} command remember/forget/memories
+     * @param {string} args 命令参数
      * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleMemoryCommand(command, args, userId, groupId) {
+        const prefix = this.commandConfig.prefixes[0];
+        const input = segmentsToText(parseCQMessage(args)).trim();
+        
+        if (command === 'remember') {
+            if (!input) {
+                return `用法: ${prefix} remember <要我记住的事>，例如 ${prefix} remember 我喜欢玩机械动力`;
+            }
+            const check = this.moderator.review(input, { userId, groupId, stage: 'input' });
+            if (check.blocked) {
+                return this.moderator.getBlockedMessage('input');
+            }
+            const result = this.memory.add(userId, check.text, 'user');
+            if (result.added) return `记住啦: ${check.text.substring(0, this.memory.maxFactLength)}`;
+            if (result.reason === 'duplicate') return '这件事我已经记得了~';
+            if (result.reason === 'full') return `记忆已满（最多 ${this.memory.maxFacts} 条），请先用 ${prefix} forget 删除一些`;
+            return `用法: ${prefix} remember <要我记住的事>`;
+        }
+        
+        if (command === 'forget') {
+            if (!input) {
+                return `用法: ${prefix} forget <序号...|关键词|all>，序号见 ${prefix} memories`;
+            }
+            if (input.toLowerCase() === 'all') {
+                delete this.memoryBuffers[userId];
+                const count = this.memory.clear(userId);
+                return count > 0 ? `已忘记关于你的全部 ${count} 条记忆` : '我还没有记住关于你的任何事';
+            }
+            const indexes = input.split(/[\s,，]+/).map(Number);
+            const removed = indexes.every(index => Number.isInteger(index) && index > 0)
+                ? this.memory.removeByIndex(userId, indexes)
+                : this.memory.removeByKeyword(userId, input);
+            if (removed.length === 0) {
+                return `没有找到对应的记忆，用 ${prefix} memories 查看序号`;
+            }
+            return `已忘记:\n${removed.map(fact => `- ${fact.text}`).join('\n')}`;
+        }
+        
+        const option = input.toLowerCase();
+        if (option === 'on' || option === 'off') {
+            this.memory.setAutoExtract(userId, option === 'on');
+            if (option === 'off') {
+                delete this.memoryBuffers[userId];
+            }
+            return option === 'on' ? '已开启自动记忆，我会从聊天中记住关于你的事' : '已关闭自动记忆，只会记住你用 remember 告诉我的事';
+        }
+        
+        const facts = this.memory.list(userId);
+        const autoStatus = this.memoryAutoExtract && this.memory.isAutoExtractEnabled(userId) ? '开启' : '关闭';
+        const list = facts
+            .map((fact, index) => `${index + 1}. ${fact.text}${fact.source === 'model' ? '（自动）' : ''}`)
+            .join('\n');
+        return `我记得的关于你的事（${facts.length}/${this.memory.maxFacts}）:\n${list || '暂无'}\n自动记忆: ${autoStatus}\n` +
+            `用法: ${prefix} remember <内容>, ${prefix} forget <序号|关键词|all>, ${prefix} memories on|off`;
+    }
+    
+    /**
+     * 清除上下文
+     * @param {string} contextKey 上下文标识
      * @returns {boolean} 是否成功清除
      */
-    clearUserContext(userId) {
+    clearContext(contextKey) {
         try {
             // 清除内存中的缓存
-            this.contexts[userId] = [];
+            this.contexts[contextKey] = this.createEmptyContext();
             
             // 删除文件（如果存在）
-            const contextPath = this.getUserContextPath(userId);
+            const contextPath = this.getContextPath(contextKey);
             if (fs.existsSync(contextPath)) {
                 fs.unlinkSync(contextPath);
             }
             
-            console.log(`[${this.name}] 已清除用户 ${userId} 的上下文`);
+            console.log(`[${this.name}] 已清除上下文 ${contextKey}`);
             return true;
         } catch (error) {
-            console.error(`[${this.name}] 清除用户 ${userId} 的上下文失败:`, error);
+            console.error(`[${this.name}] 清除上下文 ${contextKey} 失败:`, error);
             return false;
         }
     }
     
     /**
-     * 加载黑名单
+     * 把各种格式的时间戳统一为毫秒时间戳
+     * @param {number|string|null} value 毫秒/秒时间戳或日期字符串
+     * @returns {number|null} 毫秒时间戳，缺失时为空
      */
-    async loadBlacklist() {
-        try {
-            if (fs.existsSync(this.blacklistPath)) {
-                const data = fs.readFileSync(this.blacklistPath, 'utf8');
-                this.blacklist = JSON.parse(data);
-                console.log(`[${this.name}] 黑名单加载成功，包含 ${this.blacklist.users.length} 个用户和 ${this.blacklist.groups.length} 个群组`);
-            } else {
-                // 创建默认黑名单文件
-                await this.saveBlacklist();
-                console.log(`[${this.name}] 黑名单文件不存在，已创建默认文件`);
-            }
-        } catch (error) {
-            console.error(`[${this.name}] 加载黑名单失败:`, error);
+    normalizeTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            // 秒级时间戳转为毫秒
+            return value < 1e11 ? value * 1000 : value;
         }
+        const parsed = /^\d+$/.test(String(value)) ? this.normalizeTimestamp(Number(value)) : Date.parse(value);
+        if (parsed === null || isNaN(parsed)) {
+            throw new Error(`无法识别的时间: ${value}`);
+        }
+        return parsed;
     }
     
     /**
-     * 保存黑名单
+     * 生成上下文的JSON备份
+     * @param {string} contextKey 上下文标识
+     * @returns {Object} 备份内容
      */
-    async saveBlacklist() {
-        try {
-            fs.writeFileSync(this.blacklistPath, JSON.stringify(this.blacklist, null, 2), 'utf8');
-            console.log(`[${this.name}] 黑名单保存成功`);
-        } catch (error) {
-            console.error(`[${this.name}] 保存黑名单失败:`, error);
-        }
+    createContextBackup(contextKey) {
+        const context = this.loadContext(contextKey);
+        return {
+            contextKey,
+            exportedAt: Date.now(),
+            summary: context.summary,
+            messages: context.messages.map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                timestamp: msg.timestamp || null
+            }))
+        };
     }
     
     /**
-     * 检查用户是否在黑名单中
-     * @param {string} userId 用户ID
-     * @returns {boolean} 是否在黑名单中
+     * 解析并校验JSON备份，兼容导出文件、上下文文件和旧版消息数组
+     * @param {string} text JSON文本
+     * @returns {{summary: string, messages: Array}} 上下文
      */
-    isUserBlacklisted(userId) {
-        return this.blacklist.users.includes(userId.toString());
+    parseContextBackup(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON格式不正确: ${error.message}`);
+        }
+        
+        const messages = Array.isArray(data) ? data : data && data.messages;
+        if (!Array.isArray(messages)) {
+            throw new Error('备份中没有找到 messages 数组');
+        }
+        
+        return {
+            summary: (!Array.isArray(data) && typeof data.summary === 'string') ? data.summary : '',
+            messages: messages.map((msg, index) => {
+                if (!msg || !this.roleNames[msg.role]) {
+                    throw new Error(`第 ${index + 1} 条消息的角色不正确，只支持 ${Object.keys(this.roleNames).join('/')}`);
+                }
+                if (typeof msg.content !== 'string') {
+                    throw new Error(`第 ${index + 1} 条消息缺少文本内容`);
+                }
+                try {
+                    return { role: msg.role, content: msg.content, timestamp: this.normalizeTimestamp(msg.timestamp) };
+                } catch (error) {
+                    throw new Error(`第 ${index + 1} 条消息: ${error.message}`);
+                }
+            })
+        };
     }
     
     /**
-     * 检查群组是否在黑名单中
-     * @param {string} groupId 群组ID
-     * @returns {boolean} 是否在黑名单中
+     * 把上下文整理为可读的对话记录
+     * @param {string} contextKey 上下文标识
+     * @param {string} format 格式 md/txt/json
+     * @returns {string} 对话记录
      */
-    isGroupBlacklisted(groupId) {
-        return this.blacklist.groups.includes(groupId.toString());
+    formatTranscript(contextKey, format) {
+        if (format === 'json') {
+            return JSON.stringify(this.createContextBackup(contextKey), null, 2);
+        }
+        
+        const context = this.loadContext(contextKey);
+        const roleName = role => this.roleNames[role] || role;
+        const exportedAt = this.formatDateTime(Date.now());
+        
+        if (format === 'txt') {
+            const lines = [
+                `对话记录（${contextKey}）`,
+                `导出时间: ${exportedAt}`,
+                `消息数: ${context.messages.length}`,
+                ''
+            ];
+            if (context.summary) {
+                lines.push(`更早对话的摘要: ${context.summary}`, '');
+            }
+            context.messages.forEach(msg => {
+                lines.push(`[${this.formatDateTime(msg.timestamp)}] ${roleName(msg.role)}:`, msg.content, '');
+            });
+            return lines.join('\n');
+        }
+        
+        const lines = [
+            '# 对话记录',
+            '',
+            `- 上下文: \`${contextKey}\``,
+            `- 导出时间: ${exportedAt}`,
+            `- 消息数: ${context.messages.length}`,
+            ''
+        ];
+        if (context.summary) {
+            lines.push('## 更早对话的摘要', '', context.summary, '');
+        }
+        lines.push('## 对话', '');
+        context.messages.forEach(msg => {
+            lines.push(`### ${roleName(msg.role)} · ${this.formatDateTime(msg.timestamp)}`, '', msg.content, '');
+        });
+        return lines.join('\n');
     }
     
     /**
-     * 检查用户是否是主人
-     * @param {string} userId 用户ID
-     * @returns {boolean} 是否是主人
+     * 以文件形式上传对话记录
+     * @param {Object} message 原始消息对象
+     * @param {string} fileName 文件名
+     * @param {string} text 文件内容
      */
-    isMaster(userId) {
-        return this.masters.includes(userId.toString());
+    async uploadTranscript(message, fileName, text) {
+        fs.mkdirSync(this.exportDir, { recursive: true });
+        const filePath = path.join(this.exportDir, fileName);
+        fs.writeFileSync(filePath, text, 'utf8');
+        
+        try {
+            if (message.message_type === 'private') {
+                await this.client.callApi('upload_private_file', {
+                    user_id: message.user_id.toString(),
+                    file: filePath,
+                    name: fileName
+                });
+            } else {
+                await this.client.callApi('upload_group_file', {
+                    group_id: message.group_id.toString(),
+                    file: filePath,
+                    name: fileName
+                });
+            }
+        } finally {
+            fs.unlink(filePath, (error) => {
+                if (error) console.error(`[${this.name}] 删除导出文件失败:`, error);
+            });
+        }
     }
     
     /**
-     * 从CQ码中提取用户ID
-     * @param {string} cqCode CQ码
-     * @returns {string|null} 用户ID或null
+     * 以合并转发的形式发送对话记录
+     * @param {Object} message 原始消息对象
+     * @param {string} contextKey 上下文标识
+     * @param {string} format 格式，json 时整份备份作为一条消息发送
      */
-    extractUserIdFromCQCode(cqCode) {
-        const match = cqCode.match(/\[CQ:at,qq=(\d+)\]/);
-        return match ? match[1] : null;
+    async forwardTranscript(message, contextKey, format) {
+        const context = this.loadContext(contextKey);
+        const userId = message.user_id.toString();
+        const botId = message.self_id ? message.self_id.toString() : userId;
+        // 共享上下文中的用户消息来自不同成员，发言人已写在消息内容里
+        const senderName = contextKey.endsWith('/shared') || !message.sender
+            ? ''
+            : (message.sender.card || message.sender.nickname);
+        const node = (name, uin, content) => this.delivery.createNode(name, uin, content);
+        
+        const nodes = [];
+        if (format === 'json') {
+            nodes.push(node('对话备份', botId, this.formatTranscript(contextKey, 'json')));
+        } else {
+            const messages = context.messages.slice(-this.exportForwardMaxNodes);
+            const skipped = context.messages.length - messages.length;
+            let header = `对话记录（${contextKey}），共 ${context.messages.length} 条消息`;
+            if (skipped > 0) header += `，仅转发最近 ${messages.length} 条`;
+            if (context.summary) header += `\n\n更早对话的摘要: ${context.summary}`;
+            nodes.push(node('对话记录', botId, header));
+            
+            messages.forEach(msg => {
+                const isUser = msg.role === 'user';
+                nodes.push(node(
+                    isUser ? (senderName || this.roleNames.user) : (this.roleNames[msg.role] || msg.role),
+                    isUser ? userId : botId,
+                    `[${this.formatDateTime(msg.timestamp)}]\n${msg.content}`
+                ));
+            });
+        }
+        
+        await this.delivery.sendForward(message, nodes);
     }
-
+    
     /**
-     * 处理管理命令
-     * @param {string} command 命令
+     * 处理导出命令，格式: export [md|txt|json] [file|forward]
+     * @param {Object} message 原始消息对象
+     * @param {Array<string>} args 命令参数
      * @param {string} userId 用户ID
-     * @param {string} groupId 群组ID
-     * @returns {Promise<string>} 处理结果
+     * @param {string|null} groupId 群组ID
+     * @returns {Promise<string|null>} 需要回复的提示，导出成功且无需提示时为空
      */
-    async handleAdminCommand(command, userId, groupId) {
-        // 只有主人可以执行管理命令
-        if (!this.isMaster(userId)) {
-            return "你不是我的主人，无权执行此命令~";
+    async handleExportCommand(message, args, userId, groupId) {
+        let format = 'md';
+        let delivery = this.exportDelivery;
+        for (const arg of args.map(arg => arg.toLowerCase())) {
+            if (this.exportFormats[arg]) {
+                format = arg;
+            } else if (arg === 'file' || arg === 'forward') {
+                delivery = arg;
+            } else {
+                const formats = Object.entries(this.exportFormats).map(([key, label]) => `${key}（${label}）`).join('、');
+                return `用法: ai export [格式] [file|forward]\n可用格式: ${formats}\nfile 为上传文件，forward 为合并转发`;
+            }
         }
         
-        const parts = command.split(' ');
-        const action = parts[0].toLowerCase();
+        const contextKey = this.getContextKey(userId, groupId);
+        const context = this.loadContext(contextKey);
+        if (context.messages.length === 0 && !context.summary) {
+            return '当前没有可以导出的对话记录';
+        }
         
-        // 处理ban命令
-        if (action === 'ban') {
-            const target = parts.slice(1).join(' ').trim();
-            
-            // 尝试从CQ码中提取用户ID
-            let targetId = this.extractUserIdFromCQCode(target);
-            if (!targetId) {
-                // 如果不是CQ码，则直接使用输入的内容
-                targetId = target;
-            }
-            
-            if (!targetId) {
-                return "请指定要ban的用户，可以通过艾特或输入QQ号";
-            }
-            
-            // 如果目标ID已经在黑名单中
-            if (this.blacklist.users.includes(targetId)) {
-                return `用户 ${targetId} 已经在黑名单中了`;
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        const fileName = `对话记录_${contextKey.replace(/\//g, '_')}_${stamp}.${format}`;
+        
+        if (delivery === 'file') {
+            try {
+                await this.uploadTranscript(message, fileName, this.formatTranscript(contextKey, format));
+                console.log(`[${this.name}] 已以文件形式导出上下文 ${contextKey}`);
+                return null;
+            } catch (error) {
+                console.error(`[${this.name}] 上传导出文件失败，改用合并转发:`, error);
             }
-            
-            // 添加到黑名单
-            this.blacklist.users.push(targetId);
-            await this.saveBlacklist();
-            return `已将用户 ${targetId} 添加到黑名单`;
         }
         
-        // 处理unban命令
-        if (action === 'unban') {
-            const target = parts.slice(1).join(' ').trim();
-            
-            // 尝试从CQ码中提取用户ID
-            let targetId = this.extractUserIdFromCQCode(target);
-            if (!targetId) {
-                // 如果不是CQ码，则直接使用输入的内容
-                targetId = target;
-            }
-            
-            if (!targetId) {
-                return "请指定要解ban的用户，可以通过艾特或输入QQ号";
-            }
-            
-            // 如果目标ID不在黑名单中
-            const index = this.blacklist.users.indexOf(targetId);
-            if (index === -1) {
-                return `用户 ${targetId} 不在黑名单中`;
-            }
-            
-            // 从黑名单移除
-            this.blacklist.users.splice(index, 1);
-            await this.saveBlacklist();
-            return `已将用户 ${targetId} 从黑名单中移除`;
+        try {
+            await this.forwardTranscript(message, contextKey, format);
+            console.log(`[${this.name}] 已以合并转发形式导出上下文 ${contextKey}`);
+            return null;
+        } catch (error) {
+            console.error(`[${this.name}] 合并转发对话记录失败:`, error);
+            return '导出对话记录失败，请稍后再试';
+        }
+    }
+    
+    /**
+     * 处理导入命令，格式: import <QQ号|@用户> <JSON备份或导出目录中的文件名>
+     * 导入内容会覆盖目标用户在当前范围下的上下文；只能读取导出目录中的文件，不接受绝对路径和 ..
+     * @param {string} args 命令参数
+     * @param {string|null} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleImportCommand(args, groupId) {
+        const match = /^(\S+)\s+([\s\S]+)$/.exec(args);
+        if (!match) {
+            return '用法: ai admin import <QQ号|@用户> <JSON备份内容或导出目录中的文件名>';
         }
         
-        if (action === 'bangroup' && parts.length > 1) {
-            const targetId = parts[1].trim();
-            
-            // 如果目标群组已经在黑名单中
-            if (this.blacklist.groups.includes(targetId)) {
-                return `群组 ${targetId} 已经在黑名单中了`;
-            }
-            
-            // 添加到黑名单
-            this.blacklist.groups.push(targetId);
-            await this.saveBlacklist();
-            return `已将群组 ${targetId} 添加到黑名单`;
+        const targetUser = this.extractUserIdFromCQCode(match[1]) || match[1];
+        if (!/^\d+$/.test(targetUser)) {
+            return `无效的用户: ${match[1]}`;
         }
         
-        if (action === 'unbangroup' && parts.length > 1) {
-            const targetId = parts[1].trim();
-            
-            // 如果目标群组不在黑名单中
-            const index = this.blacklist.groups.indexOf(targetId);
-            if (index === -1) {
-                return `群组 ${targetId} 不在黑名单中`;
+        let text = unescapeCQ(match[2].trim());
+        if (!/^[\[{]/.test(text)) {
+            const exportDir = path.resolve(this.exportDir);
+            const filePath = path.resolve(exportDir, text);
+            if (path.isAbsolute(text) || path.dirname(filePath) !== exportDir) {
+                return '只能导入导出目录中的文件，请直接填写文件名';
             }
-            
-            // 从黑名单移除
-            this.blacklist.groups.splice(index, 1);
-            await this.saveBlacklist();
-            return `已将群组 ${targetId} 从黑名单中移除`;
+            if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+                return `找不到备份文件: ${text}`;
+            }
+            text = fs.readFileSync(filePath, 'utf8');
+        }
+        
+        let context;
+        try {
+            context = this.parseContextBackup(text);
+        } catch (error) {
+            return `导入失败: ${error.message}`;
+        }
+        
+        const contextKey = this.getContextKey(targetUser, groupId);
+        this.contexts[contextKey] = context;
+        this.saveContext(contextKey);
+        console.log(`[${this.name}] 已导入上下文 ${contextKey}，共 ${context.messages.length} 条消息`);
+        
+        return `已将 ${context.messages.length} 条消息导入 ${contextKey}${context.summary ? '（包含摘要）' : ''}`;
+    }
+    
+    /**
+     * 处理上下文范围设置命令
+     * @param {Array<string>} args 命令参数
+     * @param {string} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleScopeCommand(args, groupId) {
+        if (!groupId) {
+            return '请在群聊中使用此命令';
+        }
+        
+        const available = Object.entries(this.contextScopes).map(([scope, label]) => `${scope}（${label}）`).join(', ');
+        
+        if (args.length === 0) {
+            const scope = this.getContextScope(groupId);
+            return `本群当前上下文范围: ${scope}（${this.contextScopes[scope]}）\n可选范围: ${available}`;
+        }
+        
+        const scope = args[0].toLowerCase();
+        if (!this.contextScopes[scope]) {
+            return `未知的上下文范围 ${scope}，可选范围: ${available}`;
+        }
+        
+        this.getGroupSettings(groupId).contextScope = scope;
+        this.saveGroupSettings();
+        return `本群上下文范围已设置为 ${scope}（${this.contextScopes[scope]}）`;
+    }
+    
+    /**
+     * 获取人设文件路径
+     * @param {string} name 人设名
+     * @returns {string} 文件路径
+     */
+    getPersonaPath(name) {
+        return path.join(this.personaDir, `${name}.json`);
+    }
+    
+    /**
+     * 检查人设名是否可以安全地作为文件名
+     * @param {string} name 人设名
+     * @returns {boolean} 是否合法
+     */
+    isValidPersonaName(name) {
+        return /^[^\\/:*?"<>|.\s]{1,20}$/.test(name);
+    }
+    
+    /**
+     * 加载所有人设，默认人设不存在时自动创建
+     */
+    loadPersonas() {
+        try {
+            fs.mkdirSync(this.personaDir, { recursive: true });
+            
+            for (const file of fs.readdirSync(this.personaDir)) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const persona = JSON.parse(fs.readFileSync(path.join(this.personaDir, file), 'utf8'));
+                    this.personas[persona.name] = persona;
+                } catch (error) {
+                    console.error(`[${this.name}] 加载人设文件 ${file} 失败:`, error);
+                }
+            }
+            
+            if (!this.personas[this.defaultPersona]) {
+                this.savePersona({
+                    name: this.defaultPersona,
+                    prompt: this.systemPrompt,
+                    createdBy: 'system',
+                    createdAt: Date.now(),
+                    updatedAt: Date.now()
+                });
+            }
+            
+            console.log(`[${this.name}] 已加载 ${Object.keys(this.personas).length} 个人设`);
+        } catch (error) {
+            console.error(`[${this.name}] 加载人设失败:`, error);
+        }
+    }
+    
+    /**
+     * 保存人设
+     * @param {Object} persona 人设
+     * @returns {boolean} 是否保存成功
+     */
+    savePersona(persona) {
+        try {
+            fs.writeFileSync(this.getPersonaPath(persona.name), JSON.stringify(persona, null, 2), 'utf8');
+            this.personas[persona.name] = persona;
+            console.log(`[${this.name}] 人设 ${persona.name} 保存成功`);
+            return true;
+        } catch (error) {
+            console.error(`[${this.name}] 保存人设 ${persona.name} 失败:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * 删除人设，正在使用它的群恢复为默认人设
+     * @param {string} name 人设名
+     * @returns {boolean} 是否删除成功
+     */
+    deletePersona(name) {
+        try {
+            const personaPath = this.getPersonaPath(name);
+            if (fs.existsSync(personaPath)) {
+                fs.unlinkSync(personaPath);
+            }
+            delete this.personas[name];
+            
+            let settingsChanged = false;
+            for (const settings of Object.values(this.groupSettings)) {
+                if (settings.persona === name) {
+                    delete settings.persona;
+                    settingsChanged = true;
+                }
+            }
+            if (settingsChanged) {
+                this.saveGroupSettings();
+            }
+            
+            console.log(`[${this.name}] 已删除人设 ${name}`);
+            return true;
+        } catch (error) {
+            console.error(`[${this.name}] 删除人设 ${name} 失败:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * 获取群组当前使用的人设名
+     * @param {string} groupId 群组ID
+     * @returns {string} 人设名
+     */
+    getActivePersonaName(groupId) {
+        const settings = (groupId && this.groupSettings[groupId]) || {};
+        return this.personas[settings.persona] ? settings.persona : this.defaultPersona;
+    }
+    
+    /**
+     * 获取群组当前使用的系统提示词
+     * @param {string} groupId 群组ID
+     * @returns {string} 系统提示词
+     */
+    getSystemPrompt(groupId) {
+        const persona = this.personas[this.getActivePersonaName(groupId)];
+        return persona ? persona.prompt : this.systemPrompt;
+    }
+    
+    /**
+     * 处理人设管理命令
+     * @param {string} args 命令参数（保留换行，提示词可以有多行）
+     * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID
+     * @returns {Promise<string>} 处理结果
+     */
+    async handlePersonaCommand(args, userId, groupId) {
+        const match = args.match(/^(\S*)\s*(\S*)\s*([\s\S]*)$/);
+        const subCommand = match[1].toLowerCase();
+        const personaName = match[2];
+        const prompt = match[3].trim();
+        const usage = '可用命令: persona list, persona create <名称> <提示词>, persona edit <名称> <提示词>, persona delete <名称>, persona use <名称>, persona preview <名称> [测试消息]';
+        
+        if (!subCommand || subCommand === 'list') {
+            const active = this.getActivePersonaName(groupId);
+            const list = Object.keys(this.personas)
+                .map(name => `${name === active ? '▶ ' : '  '}${name}${name === this.defaultPersona ? '（默认）' : ''}`)
+                .join('\n');
+            return `人设列表（▶ 为本群当前人设）:\n${list}\n${usage}`;
+        }
+        
+        if (!personaName) {
+            return `请指定人设名称\n${usage}`;
+        }
+        
+        if (subCommand === 'create') {
+            if (!this.isValidPersonaName(personaName)) {
+                return '人设名称不能超过20个字，且不能包含空白、点号或 \\ / : * ? " < > | 等字符';
+            }
+            if (this.personas[personaName]) {
+                return `人设 ${personaName} 已经存在，修改请使用 persona edit`;
+            }
+            if (!prompt) {
+                return '请在人设名称后面输入提示词';
+            }
+            const now = Date.now();
+            if (!this.savePersona({ name: personaName, prompt, createdBy: userId, createdAt: now, updatedAt: now })) {
+                return `创建人设 ${personaName} 失败`;
+            }
+            return `已创建人设 ${personaName}，使用 persona use ${personaName} 切换到该人设`;
+        }
+        
+        const persona = this.personas[personaName];
+        if (!persona) {
+            return `人设 ${personaName} 不存在`;
+        }
+        
+        if (subCommand === 'edit') {
+            if (!prompt) {
+                return '请在人设名称后面输入新的提示词';
+            }
+            if (!this.savePersona({ ...persona, prompt, updatedAt: Date.now() })) {
+                return `修改人设 ${personaName} 失败`;
+            }
+            return `已更新人设 ${personaName}`;
+        }
+        
+        if (subCommand === 'delete') {
+            if (personaName === this.defaultPersona) {
+                return '默认人设不能删除';
+            }
+            if (!this.deletePersona(personaName)) {
+                return `删除人设 ${personaName} 失败`;
+            }
+            return `已删除人设 ${personaName}，使用该人设的群已恢复为 ${this.defaultPersona}`;
+        }
+        
+        if (subCommand === 'use') {
+            if (!groupId) {
+                return '请在群聊中使用此命令';
+            }
+            const settings = this.getGroupSettings(groupId);
+            if (personaName === this.defaultPersona) {
+                delete settings.persona;
+            } else {
+                settings.persona = personaName;
+            }
+            this.saveGroupSettings();
+            return `本群已切换到人设 ${personaName}`;
+        }
+        
+        if (subCommand === 'preview') {
+            let preview = `人设 ${personaName} 的提示词:\n${persona.prompt}`;
+            
+            // 附带测试消息时，用该人设试答一次，不写入任何上下文；与普通对话一样审核、限额并计入用量
+            if (prompt) {
+                const input = this.moderator.review(prompt, { userId, groupId, stage: 'input' });
+                if (input.blocked) {
+                    return `${preview}\n\n${this.moderator.getBlockedMessage('input')}`;
+                }
+                
+                if (!this.isMaster(userId)) {
+                    const limit = this.rateLimiter.check(userId, groupId);
+                    if (!limit.allowed) {
+                        return `${preview}\n\n${this.rateLimiter.getLimitMessage(limit)}`;
+                    }
+                    this.rateLimiter.hit(userId, groupId);
+                }
+                
+                try {
+                    const { provider, model } = this.resolveProvider(groupId);
+                    const { content } = await this.chatWithAccounting(provider, model, userId, groupId, 'preview', {
+                        messages: [
+                            { role: 'system', content: persona.prompt },
+                            { role: 'user', content: input.text }
+                        ],
+                        temperature: this.temperature,
+                        maxTokens: this.maxTokens
+                    });
+                    const output = this.moderator.review(content, { userId, groupId, stage: 'output' });
+                    preview += `\n\n试答「${input.text}」:\n${output.blocked ? this.moderator.getBlockedMessage('output') : output.text}`;
+                } catch (error) {
+                    console.error(`[${this.name}] 预览人设 ${personaName} 失败:`, error);
+                    preview += `\n\n试答失败: ${getErrorMessage(error)}`;
+                }
+            }
+            
+            return preview;
+        }
+        
+        return `未知的人设命令 ${subCommand}\n${usage}`;
+    }
+    
+    /**
+     * 获取群组启用的触发方式，私聊时全部启用
+     * @param {string|null} groupId 群组ID
+     * @returns {Object} 触发方式 -> 是否启用
+     */
+    getTriggers(groupId) {
+        const settings = (groupId && this.groupSettings[groupId]) || {};
+        const triggers = {};
+        for (const type of Object.keys(this.triggerTypes)) {
+            triggers[type] = !settings.triggers || settings.triggers[type] !== false;
+        }
+        return triggers;
+    }
+    
+    /**
+     * 处理触发方式设置命令
+     * @param {Array<string>} args 命令参数
+     * @param {string} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleTriggerCommand(args, groupId) {
+        if (!groupId) {
+            return '请在群聊中使用此命令';
+        }
+        
+        const describe = () => {
+            const triggers = this.getTriggers(groupId);
+            return Object.entries(this.triggerTypes)
+                .map(([type, label]) => `${type}（${label}）: ${triggers[type] ? '开启' : '关闭'}`)
+                .join('\n');
+        };
+        
+        if (args.length === 0) {
+            return `本群触发方式:\n${describe()}\n使用 trigger <prefix|at|reply> <on|off> 修改`;
+        }
+        
+        const type = args[0].toLowerCase();
+        const state = (args[1] || '').toLowerCase();
+        if (!this.triggerTypes[type] || (state !== 'on' && state !== 'off')) {
+            return '用法: trigger <prefix|at|reply> <on|off>';
+        }
+        
+        const settings = this.getGroupSettings(groupId);
+        settings.triggers = { ...this.getTriggers(groupId), [type]: state === 'on' };
+        this.saveGroupSettings();
+        return `已${state === 'on' ? '开启' : '关闭'}本群的${this.triggerTypes[type]}触发\n${describe()}`;
+    }
+    
+    /**
+     * 加载命令前缀配置
+     * @returns {boolean} 是否加载成功，失败时保留原有配置
+     */
+    loadCommandConfig() {
+        try {
+            if (!fs.existsSync(this.commandConfigPath)) {
+                fs.writeFileSync(this.commandConfigPath, JSON.stringify(this.commandConfig, null, 2), 'utf8');
+            }
+            
+            const data = JSON.parse(fs.readFileSync(this.commandConfigPath, 'utf8'));
+            const prefixes = (Array.isArray(data.prefixes) ? data.prefixes : [])
+                .filter(prefix => typeof prefix === 'string' && prefix.trim())
+                .map(prefix => prefix.trim());
+            if (prefixes.length === 0) {
+                throw new Error('prefixes 至少需要一个前缀');
+            }
+            const aliases = {};
+            for (const [alias, expansion] of Object.entries(data.aliases || {})) {
+                if (alias.trim() && typeof expansion === 'string') {
+                    aliases[alias.trim()] = expansion.trim();
+                }
+            }
+            
+            this.commandConfig = { prefixes, aliases, caseSensitive: !!data.caseSensitive };
+            this.commandTriggers = [
+                ...prefixes.map(trigger => ({ trigger, expansion: '' })),
+                ...Object.entries(aliases).map(([trigger, expansion]) => ({ trigger, expansion }))
+            ].sort((a, b) => b.trigger.length - a.trigger.length);
+            
+            console.log(`[${this.name}] 命令配置加载成功，前缀: ${prefixes.join(', ')}，别名 ${Object.keys(aliases).length} 个`);
+            return true;
+        } catch (error) {
+            console.error(`[${this.name}] 加载命令配置失败:`, error);
+            if (this.commandTriggers.length === 0) {
+                this.commandTriggers = this.commandConfig.prefixes.map(trigger => ({ trigger, expansion: '' }));
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * 判断文本是否以指定的词开头，并且词在此处结束
+     * 以字母或数字结尾的词（如 ai）后面不能紧跟字母或数字，避免把 aim、air 当成命令；
+     * 以中文等其他字符结尾的词（如 小林）后面必须是空白、标点或CQ码，避免把“小林同学”当成命令
+     * @param {string} text 文本
+     * @param {string} word 词
+     * @returns {string|null} 词后面的内容，不匹配时返回null
+     */
+    matchLeadingWord(text, word) {
+        const head = text.substring(0, word.length);
+        const matched = this.commandConfig.caseSensitive ? head === word : head.toLowerCase() === word.toLowerCase();
+        if (!matched) return null;
+        
+        const next = text.charAt(word.length);
+        if (next) {
+            const boundary = /[a-zA-Z0-9]$/.test(word)
+                ? !/[a-zA-Z0-9]/.test(next)
+                : /[\s,，.。:：;；!！?？~～、\[]/.test(next);
+            if (!boundary) return null;
+        }
+        return text.substring(word.length).replace(/^[\s,，:：]+/, '').trim();
+    }
+    
+    /**
+     * 去掉命令前缀或别名，别名会展开为对应的命令
+     * @param {string} text 消息内容
+     * @returns {string|null} 前缀后面的内容，不是以前缀或别名开头时返回null
+     */
+    stripCommandPrefix(text) {
+        for (const { trigger, expansion } of this.commandTriggers) {
+            const rest = this.matchLeadingWord(text, trigger);
+            if (rest !== null) {
+                return expansion ? `${expansion} ${rest}`.trim() : rest;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 匹配前缀后面的子命令（admin、clear、export）
+     * @param {string|null} prefixRest 去掉前缀后的内容
+     * @param {string} command 子命令
+     * @returns {string|null} 子命令的参数，不是该子命令时返回null
+     */
+    matchSubcommand(prefixRest, command) {
+        return prefixRest === null ? null : this.matchLeadingWord(prefixRest, command);
+    }
+    
+    /**
+     * 重新加载配置文件
+     * @returns {string} 处理结果
+     */
+    reloadConfig() {
+        if (!this.loadCommandConfig()) {
+            return '命令配置加载失败，已保留原有配置，请检查 commands.json';
+        }
+        const { prefixes, aliases, caseSensitive } = this.commandConfig;
+        const aliasList = Object.entries(aliases).map(([alias, expansion]) => `${alias} → ${expansion || '对话'}`).join('，');
+        return `已重新加载命令配置\n前缀: ${prefixes.join(', ')}\n别名: ${aliasList || '无'}\n区分大小写: ${caseSensitive ? '是' : '否'}`;
+    }
+    
+    /**
+     * 获取被回复的消息
+     * @param {string} messageId 消息ID
+     * @param {string|null} selfId 机器人QQ号
+     * @returns {Promise<{text: string, fromSelf: boolean}|null>} 被回复消息的文本以及是否由机器人发送
+     */
+    async fetchRepliedMessage(messageId, selfId) {
+        try {
+            const result = await this.client.callApi('get_msg', { message_id: parseInt(messageId) });
+            const data = result && result.data;
+            if (!data) return null;
+            
+            // 消息可能是CQ码字符串，也可能是消息段数组
+            let text = data.raw_message || data.message || '';
+            if (Array.isArray(text)) {
+                text = text.filter(segment => segment.type === 'text').map(segment => segment.data.text).join('');
+            }
+            
+            const senderId = data.sender ? String(data.sender.user_id) : '';
+            return {
+                text: text.replace(/\[CQ:reply,[^\]]*\]/g, '').trim(),
+                fromSelf: !!selfId && senderId === selfId
+            };
+        } catch (error) {
+            console.error(`[${this.name}] 获取被回复的消息 ${messageId} 失败:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * 是否允许为这条消息获取被回复的消息，被忽略的消息不调用接口
+     * @param {Object} message 消息对象
+     * @param {string|null} groupId 群组ID
+     * @returns {boolean} 是否允许
+     */
+    canFetchRepliedMessage(message, groupId) {
+        const userId = message.user_id.toString();
+        if (groupId) {
+            return !this.isGroupBlacklisted(groupId) && !this.isUserBlacklisted(userId, groupId);
+        }
+        return this.isPrivateChatAllowed(userId) && !this.isUserBlacklisted(userId);
+    }
+    
+    /**
+     * 判断消息是否触发AI对话
+     * @param {Object} message 消息对象
+     * @param {string} content 消息内容
+     * @param {string|null} groupId 群组ID
+     * @returns {Promise<{via: string, query: string, quoted: string|null}|null>} 触发方式、用户输入和被引用的内容，未触发时返回null
+     */
+    async detectTrigger(message, content, groupId) {
+        const triggers = this.getTriggers(groupId);
+        const selfId = message.self_id ? message.self_id.toString() : null;
+        const replyMatch = content.match(/\[CQ:reply,id=(-?\d+)[^\]]*\]/);
+        const selfAtPattern = selfId ? new RegExp(`\\[CQ:at,qq=${selfId}(?:,[^\\]]*)?\\]`, 'g') : null;
+        
+        // 去掉回复和艾特机器人的CQ码，剩下的就是用户想说的话
+        let text = content.replace(/\[CQ:reply,[^\]]*\]/g, '');
+        const atSelf = !!selfAtPattern && selfAtPattern.test(text);
+        if (selfAtPattern) {
+            text = text.replace(selfAtPattern, '');
+        }
+        text = text.trim();
+        
+        let via = null;
+        const prefixRest = this.stripCommandPrefix(text);
+        if (triggers.prefix && prefixRest !== null) {
+            via = 'prefix';
+            text = prefixRest;
+        } else if (triggers.at && atSelf) {
+            via = 'at';
+        }
+        
+        // 获取被回复的消息需要调用接口：黑名单中的群和用户、无权私聊的用户不获取；
+        // 已经触发时获取引用的内容，否则只在回复了机器人最近发出的消息时获取
+        let quoted = null;
+        const repliedToSelf = !!replyMatch && !via && triggers.reply && this.sentMessageIds.has(replyMatch[1]);
+        if (replyMatch && (via || repliedToSelf) && this.canFetchRepliedMessage(message, groupId)) {
+            const replied = await this.fetchRepliedMessage(replyMatch[1], selfId);
+            if (replied) {
+                quoted = replied.text || null;
+                if (repliedToSelf && replied.fromSelf) {
+                    via = 'reply';
+                }
+            }
+        }
+        
+        if (!via) return null;
+        
+        return { via, query: text, quoted };
+    }
+    
+    /**
+     * 把被引用的消息拼接到用户输入前面
+     * @param {string} query 用户输入
+     * @param {string|null} quoted 被引用的消息
+     * @returns {string} 发送给模型的内容
+     */
+    composeQuery(query, quoted) {
+        if (!quoted) return query;
+        return `引用的消息：「${quoted}」\n${query || '（用户引用了这条消息，请对其作出回应）'}`;
+    }
+    
+    /**
+     * 加载群组设置
+     */
+    loadGroupSettings() {
+        try {
+            if (fs.existsSync(this.groupSettingsPath)) {
+                this.groupSettings = JSON.parse(fs.readFileSync(this.groupSettingsPath, 'utf8'));
+                console.log(`[${this.name}] 已加载 ${Object.keys(this.groupSettings).length} 个群组的设置`);
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载群组设置失败:`, error);
+        }
+    }
+    
+    /**
+     * 保存群组设置
+     */
+    saveGroupSettings() {
+        try {
+            fs.writeFileSync(this.groupSettingsPath, JSON.stringify(this.groupSettings, null, 2), 'utf8');
+            console.log(`[${this.name}] 群组设置保存成功`);
+        } catch (error) {
+            console.error(`[${this.name}] 保存群组设置失败:`, error);
+        }
+    }
+    
+    /**
+     * 把以前保存在群组设置里的提供方和模型迁移到共用的群组提供方设置
+     */
+    migrateGroupProviders() {
+        const legacy = {};
+        for (const [groupId, settings] of Object.entries(this.groupSettings)) {
+            if (!('provider' in settings) && !('model' in settings)) continue;
+            legacy[groupId] = { provider: settings.provider, model: settings.model };
+            delete settings.provider;
+            delete settings.model;
+        }
+        if (Object.keys(legacy).length === 0) return;
+        
+        groupProviders.importLegacy(this.name, legacy);
+        this.saveGroupSettings();
+    }
+    
+    /**
+     * 获取群组设置，不存在时创建空设置
+     * @param {string} groupId 群组ID
+     * @returns {Object} 群组设置
+     */
+    getGroupSettings(groupId) {
+        if (!this.groupSettings[groupId]) {
+            this.groupSettings[groupId] = {};
+        }
+        return this.groupSettings[groupId];
+    }
+    
+    /**
+     * 获取提供方实例
+     * @param {string} providerName 提供方名称
+     * @returns {Object} 提供方实例
+     */
+    getProvider(providerName) {
+        if (!this.providerInstances[providerName]) {
+            this.providerInstances[providerName] = createProvider(providerName, this.providers[providerName]);
+        }
+        return this.providerInstances[providerName];
+    }
+    
+    /**
+     * 解析群组当前使用的提供方和模型
+     * @param {string} groupId 群组ID
+     * @returns {{provider: Object, model: string}} 提供方实例和模型名
+     */
+    resolveProvider(groupId) {
+        const { providerName, model } = groupProviders.resolve(groupId, this.providers, this.defaultProvider);
+        const provider = this.getProvider(providerName);
+        return {
+            provider,
+            model: model || provider.model
+        };
+    }
+    
+    /**
+     * 处理提供方管理命令
+     * @param {Array<string>} args 命令参数
+     * @param {string} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleProviderCommand(args, groupId) {
+        if (!groupId) {
+            return '请在群聊中使用此命令';
+        }
+        
+        if (args.length === 0) {
+            const { provider, model } = this.resolveProvider(groupId);
+            const circuit = provider.getCircuitState();
+            const status = circuit.open
+                ? `\n状态: 连续失败 ${circuit.failures} 次，暂停中，${Math.ceil(circuit.retryAfterMs / 1000)} 秒后恢复`
+                : (circuit.failures > 0 ? `\n状态: 最近连续失败 ${circuit.failures} 次` : '');
+            return `本群当前使用: ${provider.name} (${model})${status}\n可用提供方: ${Object.keys(this.providers).join(', ')}`;
+        }
+        
+        if (args[0] === 'reset') {
+            groupProviders.reset(groupId);
+            return `本群已恢复默认提供方 ${this.defaultProvider}`;
+        }
+        
+        const providerName = args[0];
+        if (!this.providers[providerName]) {
+            return `未知的提供方 ${providerName}，可用提供方: ${Object.keys(this.providers).join(', ')}`;
+        }
+        
+        groupProviders.set(groupId, providerName, args[1]);
+        
+        const { model } = this.resolveProvider(groupId);
+        return `本群已切换到 ${providerName} (${model})`;
+    }
+    
+    /**
+     * 加载私聊权限
+     */
+    loadPrivateAccess() {
+        try {
+            if (fs.existsSync(this.privateAccessPath)) {
+                this.privateAccess = JSON.parse(fs.readFileSync(this.privateAccessPath, 'utf8'));
+                console.log(`[${this.name}] 私聊权限加载成功，模式 ${this.privateAccess.mode}，名单 ${this.privateAccess.users.length} 人`);
+            } else {
+                this.savePrivateAccess();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载私聊权限失败:`, error);
+        }
+    }
+    
+    /**
+     * 保存私聊权限
+     */
+    savePrivateAccess() {
+        try {
+            fs.writeFileSync(this.privateAccessPath, JSON.stringify(this.privateAccess, null, 2), 'utf8');
+            console.log(`[${this.name}] 私聊权限保存成功`);
+        } catch (error) {
+            console.error(`[${this.name}] 保存私聊权限失败:`, error);
+        }
+    }
+    
+    /**
+     * 检查用户是否可以私聊使用AI
+     * @param {string} userId 用户ID
+     * @returns {boolean} 是否允许
+     */
+    isPrivateChatAllowed(userId) {
+        if (this.isMaster(userId)) return true;
+        const listed = this.privateAccess.users.includes(userId.toString());
+        return this.privateAccess.mode === 'allow' ? listed : !listed;
+    }
+    
+    /**
+     * 处理私聊权限管理命令
+     * @param {Array<string>} args 命令参数
+     * @returns {string} 处理结果
+     */
+    handlePrivateAccessCommand(args) {
+        const subCommand = (args[0] || 'list').toLowerCase();
+        const modeLabel = mode => mode === 'allow' ? '白名单（仅名单内用户可私聊）' : '黑名单（名单内用户不可私聊）';
+        
+        if (subCommand === 'list') {
+            return `私聊模式: ${modeLabel(this.privateAccess.mode)}\n名单: ${this.privateAccess.users.join(', ') || '无'}\n可用命令: dm list, dm mode <allow|deny>, dm add <用户>, dm remove <用户>`;
+        }
+        
+        if (subCommand === 'mode') {
+            const mode = (args[1] || '').toLowerCase();
+            if (mode !== 'allow' && mode !== 'deny') {
+                return '请指定私聊模式: allow（白名单）或 deny（黑名单）';
+            }
+            this.privateAccess.mode = mode;
+            this.savePrivateAccess();
+            return `私聊模式已设置为 ${modeLabel(mode)}`;
+        }
+        
+        const targetId = args[1] ? (this.extractUserIdFromCQCode(args[1]) || args[1]) : null;
+        if (!targetId) {
+            return '请指定用户，可以通过艾特或输入QQ号';
+        }
+        
+        if (subCommand === 'add') {
+            if (this.privateAccess.users.includes(targetId)) {
+                return `用户 ${targetId} 已经在私聊名单中了`;
+            }
+            this.privateAccess.users.push(targetId);
+            this.savePrivateAccess();
+            return `已将用户 ${targetId} 加入私聊名单`;
+        }
+        
+        if (subCommand === 'remove') {
+            const index = this.privateAccess.users.indexOf(targetId);
+            if (index === -1) {
+                return `用户 ${targetId} 不在私聊名单中`;
+            }
+            this.privateAccess.users.splice(index, 1);
+            this.savePrivateAccess();
+            return `已将用户 ${targetId} 移出私聊名单`;
+        }
+        
+        return '可用命令: dm list, dm mode <allow|deny>, dm add <用户>, dm remove <用户>';
+    }
+    
+    /**
+     * 加载黑名单
+     */
+    async loadBlacklist() {
+        try {
+            if (fs.existsSync(this.blacklistPath)) {
+                const data = fs.readFileSync(this.blacklistPath, 'utf8');
+                const parsed = JSON.parse(data);
+                
+                // 旧版黑名单只保存了ID数组，转换为带详情的记录
+                const migrate = entries => (entries || []).map(entry => typeof entry === 'string'
+                    ? { id: entry, reason: '', operator: '', createdAt: null, expiresAt: null }
+                    : entry);
+                const needsMigration = [...(parsed.users || []), ...(parsed.groups || [])].some(entry => typeof entry === 'string');
+                
+                this.blacklist = {
+                    users: migrate(parsed.users),
+                    groups: migrate(parsed.groups)
+                };
+                
+                if (needsMigration) {
+                    await this.saveBlacklist();
+                    console.log(`[${this.name}] 已将旧版黑名单迁移为新格式`);
+                }
+                
+                this.removeExpiredBans();
+                console.log(`[${this.name}] 黑名单加载成功，包含 ${this.blacklist.users.length} 个用户和 ${this.blacklist.groups.length} 个群组`);
+            } else {
+                // 创建默认黑名单文件
+                await this.saveBlacklist();
+                console.log(`[${this.name}] 黑名单文件不存在，已创建默认文件`);
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载黑名单失败:`, error);
+        }
+    }
+    
+    /**
+     * 保存黑名单
+     */
+    async saveBlacklist() {
+        try {
+            fs.writeFileSync(this.blacklistPath, JSON.stringify(this.blacklist, null, 2), 'utf8');
+            console.log(`[${this.name}] 黑名单保存成功`);
+        } catch (error) {
+            console.error(`[${this.name}] 保存黑名单失败:`, error);
+        }
+    }
+    
+    /**
+     * 移除已到期的封禁记录
+     */
+    removeExpiredBans() {
+        const now = Date.now();
+        const isActive = entry => !entry.expiresAt || entry.expiresAt > now;
+        const before = this.blacklist.users.length + this.blacklist.groups.length;
+        
+        this.blacklist.users = this.blacklist.users.filter(isActive);
+        this.blacklist.groups = this.blacklist.groups.filter(isActive);
+        
+        const removed = before - this.blacklist.users.length - this.blacklist.groups.length;
+        if (removed > 0) {
+            console.log(`[${this.name}] 已自动移除 ${removed} 条到期的封禁记录`);
+            this.saveBlacklist();
+        }
+    }
+    
+    /**
+     * 查找用户的封禁记录，全局封禁优先
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID，传入时同时查找只在该群生效的封禁
+     * @returns {Object|undefined} 封禁记录
+     */
+    getUserBan(userId, groupId = null) {
+        this.removeExpiredBans();
+        const entries = this.blacklist.users.filter(entry => entry.id === userId.toString());
+        return entries.find(entry => !entry.groupId) || (groupId ? entries.find(entry => entry.groupId === groupId) : undefined);
+    }
+    
+    /**
+     * 查找群组的封禁记录
+     * @param {string} groupId 群组ID
+     * @returns {Object|undefined} 封禁记录
+     */
+    getGroupBan(groupId) {
+        this.removeExpiredBans();
+        return this.blacklist.groups.find(entry => entry.id === groupId.toString());
+    }
+    
+    /**
+     * 检查用户是否在黑名单中
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @returns {boolean} 是否在黑名单中
+     */
+    isUserBlacklisted(userId, groupId = null) {
+        return !!this.getUserBan(userId, groupId);
+    }
+    
+    /**
+     * 检查群组是否在黑名单中
+     * @param {string} groupId 群组ID
+     * @returns {boolean} 是否在黑名单中
+     */
+    isGroupBlacklisted(groupId) {
+        return !!this.getGroupBan(groupId);
+    }
+    
+    /**
+     * 解析封禁时长，支持 30s、10m、2h、7d、1w 等格式
+     * @param {string} text 时长文本
+     * @returns {number|null} 毫秒数，格式不正确时返回null
+     */
+    parseDuration(text) {
+        const match = /^(\d+)(s|m|min|h|d|w)$/i.exec(text || '');
+        if (!match) return null;
+        const units = { s: 1000, m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+        const value = parseInt(match[1], 10);
+        return value > 0 ? value * units[match[2].toLowerCase()] : null;
+    }
+    
+    /**
+     * 格式化时间戳
+     * @param {number} timestamp 时间戳
+     * @returns {string} 格式化后的时间
+     */
+    formatDateTime(timestamp) {
+        if (!timestamp) return '未知';
+        return new Date(timestamp).toLocaleString('zh-CN', { hour12: false });
+    }
+    
+    /**
+     * 格式化剩余时间
+     * @param {number} ms 毫秒数
+     * @returns {string} 可读的时长
+     */
+    formatDuration(ms) {
+        const minutes = Math.ceil(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        
+        if (days > 0) return `${days}天${hours % 24 ? `${hours % 24}小时` : ''}`;
+        if (hours > 0) return `${hours}小时${minutes % 60 ? `${minutes % 60}分钟` : ''}`;
+        return `${minutes}分钟`;
+    }
+    
+    /**
+     * 格式化封禁记录
+     * @param {Object} entry 封禁记录
+     * @returns {string} 可读的封禁详情
+     */
+    formatBanEntry(entry) {
+        const expiry = entry.expiresAt
+            ? `${this.formatDateTime(entry.expiresAt)}到期（剩余${this.formatDuration(entry.expiresAt - Date.now())}）`
+            : '永久';
+        const scope = entry.groupId ? ` | 仅限群 ${entry.groupId}` : '';
+        return `${entry.id}${scope} | 原因: ${entry.reason || '无'} | 操作者: ${entry.operator || '未知'} | 时间: ${this.formatDateTime(entry.createdAt)} | ${expiry}`;
+    }
+    
+    /**
+     * 解析封禁参数：<目标> [时长] [原因]
+     * @param {Array<string>} args 命令参数
+     * @returns {{targetId: string, duration: number|null, reason: string}} 解析结果
+     */
+    parseBanArgs(args) {
+        const [target = '', ...rest] = args.filter(Boolean);
+        
+        // 尝试从CQ码中提取用户ID，如果不是CQ码，则直接使用输入的内容
+        const targetId = this.extractUserIdFromCQCode(target) || target;
+        const duration = this.parseDuration(rest[0]);
+        const reason = (duration ? rest.slice(1) : rest).join(' ').trim();
+        
+        return { targetId, duration, reason };
+    }
+    
+    /**
+     * 添加封禁记录
+     * @param {string} type 类型 users/groups
+     * @param {Array<string>} args 命令参数
+     * @param {string} operatorId 操作者ID
+     * @param {string|null} scopeGroupId 只在该群生效的用户封禁，为空时全局生效
+     * @returns {Promise<string>} 处理结果
+     */
+    async addBan(type, args, operatorId, scopeGroupId = null) {
+        const label = type === 'users' ? '用户' : '群组';
+        const { targetId, duration, reason } = this.parseBanArgs(args);
+        
+        if (!targetId) {
+            return type === 'users' ? "请指定要ban的用户，可以通过艾特或输入QQ号" : "请指定要ban的群号";
+        }
+        
+        this.removeExpiredBans();
+        
+        if (type === 'users' && this.getRole(targetId, scopeGroupId)) {
+            return `${targetId} 是管理人员，不能被加入黑名单`;
+        }
+        
+        // 如果目标ID已经在黑名单中（同一范围内）
+        if (this.blacklist[type].some(entry => entry.id === targetId && (entry.groupId || null) === scopeGroupId)) {
+            return `${label} ${targetId} 已经在${scopeGroupId ? '本群的' : ''}黑名单中了`;
+        }
+        
+        const entry = {
+            id: targetId,
+            reason,
+            operator: operatorId,
+            createdAt: Date.now(),
+            expiresAt: duration ? Date.now() + duration : null
+        };
+        if (scopeGroupId) {
+            entry.groupId = scopeGroupId;
+        }
+        
+        // 添加到黑名单
+        this.blacklist[type].push(entry);
+        await this.saveBlacklist();
+        return `已将${label} ${targetId} 添加到${scopeGroupId ? '本群的' : ''}黑名单${duration ? `，${this.formatDuration(duration)}后自动解除` : ''}${reason ? `，原因: ${reason}` : ''}`;
+    }
+    
+    /**
+     * 移除封禁记录
+     * @param {string} type 类型 users/groups
+     * @param {string} target 目标（QQ号、艾特或群号）
+     * @param {Array<string|null>} scopes 可以移除的封禁范围，按顺序查找，null 表示全局封禁
+     * @returns {Promise<string>} 处理结果
+     */
+    async removeBan(type, target, scopes = [null]) {
+        const label = type === 'users' ? '用户' : '群组';
+        const targetId = this.extractUserIdFromCQCode(target) || target;
+        
+        if (!targetId) {
+            return type === 'users' ? "请指定要解ban的用户，可以通过艾特或输入QQ号" : "请指定要解ban的群号";
+        }
+        
+        // 如果目标ID不在黑名单中
+        let index = -1;
+        for (const scope of scopes) {
+            index = this.blacklist[type].findIndex(entry => entry.id === targetId && (entry.groupId || null) === scope);
+            if (index !== -1) break;
+        }
+        if (index === -1) {
+            return `${label} ${targetId} 不在黑名单中`;
+        }
+        
+        // 从黑名单移除
+        this.blacklist[type].splice(index, 1);
+        await this.saveBlacklist();
+        return `已将${label} ${targetId} 从黑名单中移除`;
+    }
+    
+    /**
+     * 加载角色配置
+     */
+    loadRoles() {
+        try {
+            if (fs.existsSync(this.rolesPath)) {
+                const data = JSON.parse(fs.readFileSync(this.rolesPath, 'utf8'));
+                this.roles = {
+                    owner: data.owner ? String(data.owner) : this.roles.owner,
+                    masters: (data.masters || []).map(String),
+                    moderators: data.moderators || {}
+                };
+                console.log(`[${this.name}] 角色加载成功，${this.roles.masters.length} 个主人，${Object.keys(this.roles.moderators).length} 个群设置了群管理员`);
+            } else {
+                this.saveRoles();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载角色失败:`, error);
+        }
+    }
+    
+    /**
+     * 保存角色配置
+     */
+    saveRoles() {
+        try {
+            fs.writeFileSync(this.rolesPath, JSON.stringify(this.roles, null, 2), 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 保存角色失败:`, error);
+        }
+    }
+    
+    /**
+     * 检查用户是否是所有者
+     * @param {string} userId 用户ID
+     * @returns {boolean} 是否是所有者
+     */
+    isOwner(userId) {
+        return userId.toString() === this.roles.owner;
+    }
+    
+    /**
+     * 检查用户是否是主人（所有者也算主人）
+     * @param {string} userId 用户ID
+     * @returns {boolean} 是否是主人
+     */
+    isMaster(userId) {
+        return this.isOwner(userId) || this.roles.masters.includes(userId.toString());
+    }
+    
+    /**
+     * 检查用户是否是某个群的群管理员
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @returns {boolean} 是否是群管理员
+     */
+    isModerator(userId, groupId) {
+        return !!groupId && (this.roles.moderators[groupId] || []).includes(userId.toString());
+    }
+    
+    /**
+     * 获取用户在当前群的角色
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @returns {string|null} owner/master/moderator，普通用户返回null
+     */
+    getRole(userId, groupId) {
+        if (this.isOwner(userId)) return 'owner';
+        if (this.isMaster(userId)) return 'master';
+        if (this.isModerator(userId, groupId)) return 'moderator';
+        return null;
+    }
+    
+    /**
+     * 处理角色管理命令
+     * 格式: role list | role add <master|mod> <用户> [群号] | role remove <master|mod> <用户> [群号]
+     * @param {Array<string>} args 命令参数
+     * @param {string} userId 操作者ID
+     * @param {string|null} groupId 群组ID
+     * @returns {string} 处理结果
+     */
+    handleRoleCommand(args, userId, groupId) {
+        const subCommand = (args[0] || 'list').toLowerCase();
+        const usage = '可用命令: role list, role add <master|mod> <用户> [群号], role remove <master|mod> <用户> [群号]';
+        const role = this.getRole(userId, groupId);
+        
+        if (subCommand === 'list') {
+            const moderatorGroups = role === 'moderator'
+                ? [groupId]
+                : Object.keys(this.roles.moderators).filter(id => this.roles.moderators[id].length > 0);
+            const moderators = moderatorGroups
+                .map(id => `  群 ${id}: ${(this.roles.moderators[id] || []).join(', ') || '无'}`)
+                .join('\n');
+            return `所有者: ${this.roles.owner}\n主人: ${this.roles.masters.join(', ') || '无'}\n群管理员:\n${moderators || '  无'}`;
+        }
+        
+        if (subCommand !== 'add' && subCommand !== 'remove') {
+            return usage;
+        }
+        
+        const type = (args[1] || '').toLowerCase();
+        const targetId = args[2] ? (this.extractUserIdFromCQCode(args[2]) || args[2]) : '';
+        if (!/^\d+$/.test(targetId)) {
+            return usage;
+        }
+        
+        if (type === 'master') {
+            if (role !== 'owner') {
+                return '只有所有者可以任免主人';
+            }
+            if (targetId === this.roles.owner) {
+                return '所有者的角色不能被修改';
+            }
+            const listed = this.roles.masters.includes(targetId);
+            if (subCommand === 'add') {
+                if (listed) return `${targetId} 已经是主人了`;
+                this.roles.masters.push(targetId);
+            } else {
+                if (!listed) return `${targetId} 不是主人`;
+                this.roles.masters = this.roles.masters.filter(id => id !== targetId);
+            }
+            this.saveRoles();
+            return `已${subCommand === 'add' ? '将' : '取消'} ${targetId} ${subCommand === 'add' ? '设为主人' : '的主人身份'}`;
+        }
+        
+        if (type === 'mod' || type === 'moderator') {
+            if (role !== 'owner' && role !== 'master') {
+                return '只有主人可以任免群管理员';
+            }
+            const targetGroup = args[3] || groupId;
+            if (!targetGroup || !/^\d+$/.test(targetGroup)) {
+                return '请在群聊中使用，或在命令最后指定群号';
+            }
+            const moderators = this.roles.moderators[targetGroup] || [];
+            const listed = moderators.includes(targetId);
+            if (subCommand === 'add') {
+                if (listed) return `${targetId} 已经是群 ${targetGroup} 的群管理员了`;
+                this.roles.moderators[targetGroup] = [...moderators, targetId];
+            } else {
+                if (!listed) return `${targetId} 不是群 ${targetGroup} 的群管理员`;
+                this.roles.moderators[targetGroup] = moderators.filter(id => id !== targetId);
+                if (this.roles.moderators[targetGroup].length === 0) {
+                    delete this.roles.moderators[targetGroup];
+                }
+            }
+            this.saveRoles();
+            return `已${subCommand === 'add' ? '将' : '取消'} ${targetId} ${subCommand === 'add' ? `设为群 ${targetGroup} 的群管理员` : `在群 ${targetGroup} 的群管理员身份`}`;
+        }
+        
+        return usage;
+    }
+    
+    /**
+     * 从CQ码中提取用户ID
+     * @param {string} cqCode CQ码
+     * @returns {string|null} 用户ID或null
+     */
+    extractUserIdFromCQCode(cqCode) {
+        const match = cqCode.match(/\[CQ:at,qq=(\d+)\]/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * 加载定时消息
+     */
+    loadSchedules() {
+        try {
+            if (fs.existsSync(this.schedulesPath)) {
+                const data = JSON.parse(fs.readFileSync(this.schedulesPath, 'utf8'));
+                this.schedules = data.schedules || [];
+                this.nextScheduleId = data.nextId || this.schedules.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 加载定时消息失败:`, error);
+        }
+        
+        // 重新计算每条定时消息的下一次执行时间，重启期间错过的不再补发
+        this.nextRunTimes = {};
+        for (const schedule of this.schedules) {
+            this.updateNextRun(schedule, Date.now());
+        }
+        console.log(`[${this.name}] 已加载 ${this.schedules.length} 条定时消息`);
+    }
+    
+    /**
+     * 保存定时消息
+     */
+    saveSchedules() {
+        try {
+            fs.writeFileSync(this.schedulesPath, JSON.stringify({ nextId: this.nextScheduleId, schedules: this.schedules }, null, 2), 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 保存定时消息失败:`, error);
+        }
+    }
+    
+    /**
+     * 计算定时消息的下一次执行时间
+     * @param {Object} schedule 定时消息
+     * @param {number} from 从这个时间之后开始计算
+     */
+    updateNextRun(schedule, from) {
+        try {
+            const next = getNextRun(parseCron(schedule.cron), from);
+            if (next) {
+                this.nextRunTimes[schedule.id] = next.getTime();
+            } else {
+                delete this.nextRunTimes[schedule.id];
+            }
+        } catch (error) {
+            console.error(`[${this.name}] 定时消息 #${schedule.id} 的cron表达式无效:`, error.message);
+            delete this.nextRunTimes[schedule.id];
+        }
+    }
+    
+    /**
+     * 执行已到时间的定时消息
+     */
+    async runDueSchedules() {
+        const now = Date.now();
+        for (const schedule of this.schedules) {
+            const nextRun = this.nextRunTimes[schedule.id];
+            if (!nextRun || nextRun > now) continue;
+            
+            // 先算好下一次的时间，避免执行较慢时被重复触发
+            this.updateNextRun(schedule, now);
+            await this.runSchedule(schedule);
+        }
+    }
+    
+    /**
+     * 执行一条定时消息：通过 callDeepSeekAPI 生成内容并发送到群里
+     * 生成失败或被审核拦截时不发送，也不更新 lastRunAt，失败原因记录在 lastError 中
+     * @param {Object} schedule 定时消息
+     * @returns {Promise<boolean>} 是否发送成功
+     */
+    async runSchedule(schedule) {
+        if (this.isGroupBlacklisted(schedule.groupId)) {
+            console.log(`[${this.name}] 群组 ${schedule.groupId} 在黑名单中，跳过定时消息 #${schedule.id}`);
+            return false;
+        }
+        
+        console.log(`[${this.name}] 执行定时消息 #${schedule.id}（群 ${schedule.groupId}）`);
+        try {
+            const reply = await this.callDeepSeekAPI(schedule.prompt, schedule.createdBy, schedule.groupId, '定时消息', {
+                contextKey: `schedules/${schedule.id}`,
+                useMemory: false,
+                throwOnError: true
+            });
+            
+            const message = {
+                message_type: 'group',
+                group_id: schedule.groupId,
+                user_id: this.selfId || schedule.createdBy,
+                self_id: this.selfId
+            };
+            await this.delivery.deliver(message, reply, { senderName: this.getActivePersonaName(schedule.groupId) });
+            
+            schedule.lastRunAt = Date.now();
+            schedule.lastError = null;
+            this.saveSchedules();
+            return true;
+        } catch (error) {
+            console.error(`[${this.name}] 发送定时消息 #${schedule.id} 失败:`, error);
+            // 被审核拦截时异常信息就是提示文字
+            schedule.lastError = error instanceof LLMError ? getErrorMessage(error) : error.message;
+            this.saveSchedules();
+            return false;
+        }
+    }
+    
+    /**
+     * 处理定时消息管理命令
+     * 格式: schedule add "<cron表达式>" <提示词> | schedule list | schedule remove <编号> | schedule run <编号>
+     * @param {string} args 命令参数（保留换行，提示词可以有多行）
+     * @param {string} userId 操作者ID
+     * @param {string|null} groupId 群组ID
+     * @returns {Promise<string>} 处理结果
+     */
+    async handleScheduleCommand(args, userId, groupId) {
+        const subCommand = args.split(/\s+/, 1)[0] || 'list';
+        const rest = args.substring(subCommand.length).trim();
+        const usage = '可用命令: schedule add "<分 时 日 月 周>" <提示词>, schedule list, schedule remove <编号>, schedule run <编号>\n例如: schedule add "0 8 * * *" 和大家说早安，再分享一个Minecraft小技巧';
+        const formatTime = time => time ? this.formatDateTime(time) : '不会再执行';
+        
+        switch (subCommand.toLowerCase()) {
+            case 'add': {
+                if (!groupId) {
+                    return '请在要发送定时消息的群里使用此命令';
+                }
+                // cron表达式用引号括起来，也可以直接写5段或 @daily 等简写
+                const match = /^(?:["“](.+?)["”]|(@\w+)|((?:\S+\s+){4}\S+))\s+([\s\S]+)$/.exec(rest);
+                if (!match) {
+                    return usage;
+                }
+                const cron = (match[1] || match[2] || match[3]).trim();
+                const prompt = match[4].trim();
+                
+                let nextRun;
+                try {
+                    nextRun = getNextRun(parseCron(cron));
+                } catch (error) {
+                    return `cron表达式无效: ${error.message}`;
+                }
+                if (!nextRun) {
+                    return `cron表达式 ${cron} 永远不会触发，请检查日期`;
+                }
+                if (this.schedules.filter(item => item.groupId === groupId).length >= this.maxSchedulesPerGroup) {
+                    return `每个群最多设置 ${this.maxSchedulesPerGroup} 条定时消息，请先删除一些`;
+                }
+                
+                const schedule = {
+                    id: this.nextScheduleId++,
+                    groupId,
+                    cron,
+                    prompt,
+                    createdBy: userId,
+                    createdAt: Date.now(),
+                    lastRunAt: null
+                };
+                this.schedules.push(schedule);
+                this.nextRunTimes[schedule.id] = nextRun.getTime();
+                this.saveSchedules();
+                return `已添加定时消息 #${schedule.id}，下一次发送时间: ${formatTime(nextRun.getTime())}`;
+            }
+            
+            case 'list': {
+                // 群里只列出本群的定时消息，私聊时列出全部
+                const schedules = this.schedules.filter(item => !groupId || item.groupId === groupId);
+                if (schedules.length === 0) {
+                    return `${groupId ? '本群' : ''}还没有定时消息\n${usage}`;
+                }
+                return `${groupId ? '本群的' : '全部'}定时消息:\n` + schedules.map(item => {
+                    const prompt = item.prompt.length > 40 ? `${item.prompt.substring(0, 40)}...` : item.prompt;
+                    const where = groupId ? '' : `群 ${item.groupId} | `;
+                    return `#${item.id} ${where}${item.cron} | 下次: ${formatTime(this.nextRunTimes[item.id])}\n  ${prompt}`;
+                }).join('\n');
+            }
+            
+            case 'remove':
+            case 'run': {
+                const id = parseInt(rest.replace(/^#/, ''), 10);
+                const schedule = this.schedules.find(item => item.id === id && (!groupId || item.groupId === groupId));
+                if (!schedule) {
+                    return `找不到${groupId ? '本群的' : ''}定时消息 #${rest}，使用 schedule list 查看编号`;
+                }
+                if (subCommand.toLowerCase() === 'run') {
+                    return await this.runSchedule(schedule) ? `已发送定时消息 #${id}` : `定时消息 #${id} 发送失败: ${schedule.lastError}`;
+                }
+                this.schedules = this.schedules.filter(item => item !== schedule);
+                delete this.nextRunTimes[id];
+                this.clearContext(`schedules/${id}`);
+                this.saveSchedules();
+                return `已删除定时消息 #${id}`;
+            }
+            
+            default:
+                return usage;
+        }
+    }
+    
+    /**
+     * 处理管理命令
+     * @param {string} command 命令
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID，私聊时为空
+     * @returns {Promise<string>} 处理结果
+     */
+    async handleAdminCommand(command, userId, groupId) {
+        // 主人可以执行所有管理命令，群管理员只能在自己的群里执行部分命令
+        const role = this.getRole(userId, groupId);
+        if (!role) {
+            return "你不是我的主人，无权执行此命令~";
+        }
+        
+        const parts = command.split(' ');
+        const action = parts[0].toLowerCase();
+        const isModerator = role === 'moderator';
+        
+        if (isModerator && !this.moderatorActions.includes(action)) {
+            return `群管理员只能在本群使用 ${this.moderatorActions.join(', ')} 命令`;
+        }
+        
+        // 处理角色管理命令
+        if (action === 'role') {
+            return this.handleRoleCommand(parts.slice(1).filter(Boolean), userId, groupId);
+        }
+        
+        // 处理ban命令，格式: ban <用户> [时长] [原因]，群管理员的封禁只在本群生效
+        if (action === 'ban') {
+            return await this.addBan('users', parts.slice(1), userId, isModerator ? groupId : null);
+        }
+        
+        // 处理unban命令，主人优先解除全局封禁，其次解除本群的封禁
+        if (action === 'unban') {
+            return await this.removeBan('users', parts.slice(1).join(' ').trim(), isModerator ? [groupId] : [null, groupId]);
+        }
+        
+        if (action === 'bangroup' && parts.length > 1) {
+            return await this.addBan('groups', parts.slice(1), userId);
+        }
+        
+        if (action === 'unbangroup' && parts.length > 1) {
+            return await this.removeBan('groups', parts[1].trim());
         }
         
         if (action === 'blacklist') {
-            return `黑名单用户: ${this.blacklist.users.join(', ') || '无'}\n黑名单群组: ${this.blacklist.groups.join(', ') || '无'}`;
+            this.removeExpiredBans();
+            // 群管理员只能看到本群的封禁
+            if (isModerator) {
+                const users = this.blacklist.users
+                    .filter(entry => entry.groupId === groupId)
+                    .map(entry => this.formatBanEntry(entry))
+                    .join('\n');
+                return `本群黑名单用户:\n${users || '无'}`;
+            }
+            const users = this.blacklist.users.map(entry => this.formatBanEntry(entry)).join('\n');
+            const groups = this.blacklist.groups.map(entry => this.formatBanEntry(entry)).join('\n');
+            return `黑名单用户:\n${users || '无'}\n黑名单群组:\n${groups || '无'}`;
+        }
+        
+        // 处理私聊权限命令
+        if (action === 'dm') {
+            return this.handlePrivateAccessCommand(parts.slice(1).filter(Boolean));
+        }
+        
+        // 重新加载命令配置
+        if (action === 'reload') {
+            return this.reloadConfig();
+        }
+        
+        // 处理工具管理命令
+        if (action === 'tools') {
+            return this.handleToolsCommand(parts.slice(1).filter(Boolean));
+        }
+        
+        // 处理触发方式设置命令
+        if (action === 'trigger') {
+            return this.handleTriggerCommand(parts.slice(1).filter(Boolean), groupId);
+        }
+        
+        // 处理内容审核命令
+        if (action === 'moderation') {
+            return this.moderator.handleCommand(parts.slice(1).filter(Boolean), groupId);
+        }
+        
+        // 处理用量统计命令，格式: stats [day|week|month]
+        if (action === 'stats') {
+            return this.usageLog.handleCommand(parts.slice(1).filter(Boolean));
+        }
+        
+        // 处理额度管理命令
+        if (action === 'quota') {
+            return this.rateLimiter.handleCommand(parts.slice(1).filter(Boolean));
+        }
+        
+        // 处理人设管理命令
+        if (action === 'persona') {
+            return await this.handlePersonaCommand(command.substring(action.length).trim(), userId, groupId);
+        }
+        
+        // 处理定时消息命令（保留原始参数，提示词中可以有空格和换行）
+        if (action === 'schedule') {
+            return await this.handleScheduleCommand(command.substring(action.length).trim(), userId, groupId);
+        }
+        
+        // 处理上下文范围设置命令
+        if (action === 'scope') {
+            return this.handleScopeCommand(parts.slice(1).filter(Boolean), groupId);
+        }
+        
+        // 处理导入上下文命令
+        if (action === 'import') {
+            return this.handleImportCommand(command.substring(action.length).trim(), groupId);
         }
         
-        // 处理清除上下文命令
+        // 处理清除上下文命令（清除目标用户在本群范围下对应的上下文）
         if (action === 'clear') {
-            const targetUser = parts[1] || userId;
-            if (this.clearUserContext(targetUser)) {
+            const targetUser = parts[1] ? (this.extractUserIdFromCQCode(parts[1]) || parts[1]) : userId;
+            const contextKey = this.getContextKey(targetUser, groupId);
+            // 跨群共享的上下文不属于某一个群，群管理员不能清除
+            if (isModerator && !contextKey.startsWith(`groups/${groupId}/`)) {
+                return '该上下文在多个群之间共享，不属于本群，只有主人可以清除';
+            }
+            if (this.clearContext(contextKey)) {
                 return `已清除用户 ${targetUser} 的对话上下文`;
             } else {
                 return `清除用户 ${targetUser} 的对话上下文失败`;
             }
         }
         
-        return "未知命令，可用命令: ban, unban, bangroup, unbangroup, blacklist, clear";
+        return "未知命令，可用命令: ban, unban, bangroup, unbangroup, blacklist, clear, provider, scope, persona, quota, dm, trigger, tools, import, moderation, reload, role, stats, schedule";
+    }
+
+    /**
+     * 共享上下文中需要标明发言人，否则模型分不清是谁在说话
+     * @param {string} content 对话内容
+     * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID
+     * @param {string} senderName 发送者昵称
+     * @returns {string} 写入上下文的用户消息
+     */
+    formatUserContent(content, userId, groupId, senderName) {
+        if (this.getContextScope(groupId) !== 'group') {
+            return content;
+        }
+        return `${senderName || userId}(${userId}): ${content}`;
+    }
+
+    /**
+     * 构建发送给API的消息列表
+     * @param {string} content 对话内容
+     * @param {string} contextKey 上下文标识
+     * @param {string} groupId 群组ID，用于选择人设
+     * @param {Array<string>} images 随当前消息发送的图片地址
+     * @param {Array<string>} memories 当前用户的长期记忆
+     * @returns {Array} 消息列表
+     */
+    buildMessages(content, contextKey, groupId, images = [], memories = []) {
+        // 加载上下文
+        const context = this.loadContext(contextKey);
+        
+        // 构建消息列表
+        const messages = [
+            {
+                role: 'system',
+                content: this.getSystemPrompt(groupId)
+            }
+        ];
+        
+        // 添加当前用户的长期记忆
+        if (memories.length > 0) {
+            messages.push({
+                role: 'system',
+                content: `以下是你记得的关于当前用户的信息，在相关时自然地运用，不要逐条复述：\n${memories.map(fact => `- ${fact}`).join('\n')}`
+            });
+        }
+        
+        // 添加更早对话的摘要
+        if (context.summary) {
+            messages.push({
+                role: 'system',
+                content: `以下是更早之前对话的摘要，供参考：\n${context.summary}`
+            });
+        }
+        
+        // 添加历史上下文消息
+        context.messages.forEach(msg => {
+            messages.push({
+                role: msg.role,
+                content: msg.content
+            });
+        });
+        
+        // 添加当前用户消息
+        const userMessage = {
+            role: 'user',
+            content: content
+        };
+        if (images.length > 0) {
+            userMessage.images = images;
+        }
+        messages.push(userMessage);
+        
+        return messages;
+    }
+
+    /**
+     * 解析用户输入中的CQ码并准备请求
+     * 图片只随本次请求发送，写入上下文的是带占位符、经过审核的纯文本
+     * @param {string} content 对话内容（可能包含CQ码）
+     * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID
+     * @param {string} senderName 发送者昵称
+     * @param {Object} options 选项 { contextKey, useMemory }，contextKey 指定使用的上下文，useMemory 为 false 时不注入长期记忆
+     * @returns {{contextKey: string, text: string, userContent: string, messages: Array, provider: Object, model: string, blocked?: boolean}} 请求所需的数据，输入被审核拦截时只有 blocked
+     */
+    prepareRequest(content, userId, groupId, senderName, options = {}) {
+        const segments = parseCQMessage(content);
+        const check = this.moderator.review(segmentsToText(segments).trim(), { userId, groupId, stage: 'input' });
+        if (check.blocked) {
+            return { blocked: true };
+        }
+        
+        const text = check.text;
+        const { provider, model } = this.resolveProvider(groupId);
+        const images = provider.supportsVision
+            ? extractImageUrls(segments).slice(0, this.maxImagesPerMessage)
+            : [];
+        
+        const contextKey = options.contextKey || this.getContextKey(userId, groupId);
+        const userContent = this.formatUserContent(text, userId, groupId, senderName);
+        const memories = options.useMemory === false ? [] : this.memory.getRelevant(userId, text);
+        const messages = this.buildMessages(userContent, contextKey, groupId, images, memories);
+        
+        return { contextKey, text, userContent, messages, provider, model };
+    }
+
+    /**
+     * 把本次调用的token用量计入额度，接口未返回用量时按文本估算
+     * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID
+     * @param {Object|null} usage 接口返回的用量
+     * @param {Array} messages 发送的消息列表
+     * @param {string} reply AI回复
+     */
+    recordTokenUsage(userId, groupId, usage, messages, reply) {
+        this.rateLimiter.addTokens(userId, groupId, UsageLog.countTokens(usage, messages, reply).totalTokens);
+    }
+    
+    /**
+     * 写入用量统计，接口未返回用量时按文本估算，没有生成任何内容的失败调用不计token
+     * @param {Object} provider 提供方实例
+     * @param {string} model 模型名
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @param {Object} call 调用信息 { startedAt, messages, usage, reply, error, source }，source 默认为 chat
+     */
+    logUsage(provider, model, userId, groupId, call) {
+        const { usage } = call;
+        const charged = !!usage || !!call.reply;
+        const tokens = charged
+            ? UsageLog.countTokens(usage, call.messages, call.reply)
+            : { promptTokens: 0, completionTokens: 0, estimated: false };
+        this.usageLog.record({
+            source: call.source || 'chat',
+            provider: provider.name,
+            model,
+            userId,
+            groupId,
+            promptTokens: tokens.promptTokens,
+            completionTokens: tokens.completionTokens,
+            estimated: tokens.estimated,
+            latencyMs: Date.now() - call.startedAt,
+            error: call.error ? toLLMError(call.error).code : null,
+            price: (this.providers[provider.name] || {}).price
+        });
+    }
+
+    /**
+     * 发送后台请求（上下文摘要、记忆提取等），和回复用户的请求一样计入额度和用量统计
+     * @param {Object} provider 提供方实例
+     * @param {string} model 模型名
+     * @param {string} userId 用量计入的用户ID
+     * @param {string|null} groupId 群组ID
+     * @param {string} source 调用用途，见 UsageLog.SOURCES
+     * @param {Object} request 对话参数 { messages, temperature, maxTokens, json }
+     * @returns {Promise<{content: string, usage: Object|null}>} 回复内容和用量
+     */
+    async chatWithAccounting(provider, model, userId, groupId, source, request) {
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = await provider.chat({ model, ...request });
+        } catch (error) {
+            this.logUsage(provider, model, userId, groupId, { startedAt, messages: request.messages, error, source });
+            throw error;
+        }
+        this.recordTokenUsage(userId, groupId, result.usage, request.messages, result.content);
+        this.logUsage(provider, model, userId, groupId, { startedAt, messages: request.messages, usage: result.usage, reply: result.content, source });
+        return result;
+    }
+
+    /**
+     * 合并多次调用的用量
+     * @param {Object|null} total 已累计的用量
+     * @param {Object|null} usage 本次调用的用量
+     * @returns {Object|null} 合并后的用量
+     */
+    mergeUsage(total, usage) {
+        if (!usage) return total;
+        if (!total) return { ...usage };
+        return {
+            prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+            completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+            total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+        };
+    }
+
+    /**
+     * 本次对话是否启用工具调用
+     * @param {Object} provider 提供方实例
+     * @returns {boolean} 是否启用
+     */
+    shouldUseTools(provider) {
+        return this.toolsEnabled && !!provider.supportsTools && toolRegistry.hasTools();
+    }
+
+    /**
+     * 写入工具调用审计日志
+     * @param {Object} entry 日志内容
+     */
+    appendToolAudit(entry) {
+        try {
+            fs.appendFileSync(this.toolAuditPath, JSON.stringify(entry) + '\n', 'utf8');
+        } catch (error) {
+            console.error(`[${this.name}] 写入工具调用日志失败:`, error);
+        }
+    }
+
+    /**
+     * 读取最近的工具调用审计日志
+     * @param {number} count 条数
+     * @returns {Array<Object>} 日志记录
+     */
+    readToolAudit(count) {
+        try {
+            if (!fs.existsSync(this.toolAuditPath)) return [];
+            return fs.readFileSync(this.toolAuditPath, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .slice(-count)
+                .map(line => JSON.parse(line));
+        } catch (error) {
+            console.error(`[${this.name}] 读取工具调用日志失败:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 执行模型发起的工具调用并记录审计日志
+     * @param {Object} call 工具调用 { id, name, arguments }
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @returns {Promise<string>} 交给模型的工具结果
+     */
+    async executeToolCall(call, userId, groupId) {
+        const startTime = Date.now();
+        const { success, output } = await toolRegistry.execute(call.name, call.arguments, { userId, groupId });
+        const result = output.length > this.toolOutputMaxChars
+            ? `${output.substring(0, this.toolOutputMaxChars)}...(已截断)`
+            : output;
+        
+        this.appendToolAudit({
+            time: startTime,
+            userId,
+            groupId,
+            tool: call.name,
+            arguments: call.arguments,
+            success,
+            durationMs: Date.now() - startTime,
+            result: result.substring(0, 500)
+        });
+        console.log(`[${this.name}] 工具 ${call.name} 执行${success ? '成功' : '失败'}，耗时 ${Date.now() - startTime}ms`);
+        
+        return result;
+    }
+
+    /**
+     * 发送对话请求，模型要求调用工具时执行工具并继续对话，直到得到最终回复或达到轮数上限
+     * 传入 onDelta 时使用流式请求，每一轮生成的文本都会边生成边回调（调用工具前的说明文字也会发出）
+     * @param {Object} provider 提供方实例
+     * @param {string} model 模型名
+     * @param {Array} messages 消息列表（工具调用过程会追加到其中）
+     * @param {string} userId 用户ID
+     * @param {string|null} groupId 群组ID
+     * @param {Function|null} onDelta 流式增量回调 (text) => Promise<void>，为空时使用普通请求
+     * @returns {Promise<{content: string, usage: Object|null, finished: boolean}>} 最后一轮的回复、累计用量和是否正常结束
+     */
+    async chatWithTools(provider, model, messages, userId, groupId, onDelta = null) {
+        const useTools = this.shouldUseTools(provider);
+        const tools = useTools ? toolRegistry.getDefinitions() : undefined;
+        let usage = null;
+        let hops = 0;
+        
+        while (true) {
+            // 达到轮数上限后不再提供工具，要求模型直接回答
+            const allowTools = useTools && hops < this.maxToolHops;
+            const options = {
+                model,
+                messages,
+                temperature: this.temperature,
+                maxTokens: this.maxTokens,
+                tools: allowTools ? tools : undefined
+            };
+            let content = '';
+            const result = onDelta
+                ? await provider.chatStream(options, async (delta) => {
+                    content += delta;
+                    await onDelta(delta);
+                })
+                : await provider.chat(options);
+            if (!onDelta) content = result.content;
+            usage = this.mergeUsage(usage, result.usage);
+            
+            if (!allowTools || !result.toolCalls || result.toolCalls.length === 0) {
+                return { content, usage, finished: onDelta ? result.finished : true };
+            }
+            
+            hops++;
+            messages.push({ role: 'assistant', content, toolCalls: result.toolCalls });
+            for (const call of result.toolCalls) {
+                const output = await this.executeToolCall(call, userId, groupId);
+                messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+            }
+        }
+    }
+
+    /**
+     * 处理工具管理命令
+     * @param {Array<string>} args 命令参数
+     * @returns {string} 处理结果
+     */
+    handleToolsCommand(args) {
+        if ((args[0] || '').toLowerCase() === 'log') {
+            const count = Math.min(Math.max(parseInt(args[1], 10) || 10, 1), 50);
+            const entries = this.readToolAudit(count);
+            if (entries.length === 0) {
+                return '暂无工具调用记录';
+            }
+            return `最近 ${entries.length} 次工具调用:\n` + entries.map(entry =>
+                `${this.formatDateTime(entry.time)} ${entry.tool} ${entry.success ? '成功' : '失败'} ${entry.durationMs}ms | 用户 ${entry.userId}${entry.groupId ? ` 群 ${entry.groupId}` : ''} | 参数 ${JSON.stringify(entry.arguments)}`
+            ).join('\n');
+        }
+        
+        const tools = toolRegistry.list();
+        const list = tools.map(tool => `${tool.name}（${tool.owner}）: ${tool.description}`).join('\n');
+        return `工具调用: ${this.toolsEnabled ? '开启' : '关闭'}，每次最多 ${this.maxToolHops} 轮\n已注册的工具:\n${list || '无'}\n使用 tools log [条数] 查看调用记录`;
     }
 
     /**
      * 调用DeepSeek API
      * @param {string} content 对话内容
      * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID，用于选择提供方和模型
+     * @param {string} senderName 发送者昵称，共享上下文时用于标明发言人
+     * @param {Object} options 选项 { contextKey, useMemory, throwOnError }，contextKey 和 useMemory 见 prepareRequest；
+     *   throwOnError 为 true 时，调用失败或消息被审核拦截会抛出异常，而不是返回提示文字
      * @returns {Promise<string>} API返回的回复
      */
-    async callDeepSeekAPI(content, userId) {
+    async callDeepSeekAPI(content, userId, groupId, senderName, options = {}) {
         try {
-            // 加载用户上下文
-            const userContext = this.loadUserContext(userId);
-            
-            // 构建消息列表
-            const messages = [
-                {
-                    role: 'system',
-                    content: this.systemPrompt
-                }
-            ];
+            const { contextKey, text, userContent, messages, provider, model, blocked } = this.prepareRequest(content, userId, groupId, senderName, options);
+            if (blocked) {
+                if (options.throwOnError) throw new Error(this.moderator.getBlockedMessage('input'));
+                return this.moderator.getBlockedMessage('input');
+            }
             
-            // 添加历史上下文消息
-            userContext.forEach(msg => {
-                messages.push({
-                    role: msg.role,
-                    content: msg.content
-                });
-            });
+            console.log(`[${this.name}] 发送请求到 ${provider.name} (${model})，包含 ${messages.length} 条消息`);
             
-            // 添加当前用户消息
-            messages.push({
-                role: 'user',
-                content: content
-            });
+            const startedAt = Date.now();
+            let result;
+            try {
+                result = await this.chatWithTools(provider, model, messages, userId, groupId);
+            } catch (error) {
+                this.logUsage(provider, model, userId, groupId, { startedAt, messages, error });
+                throw error;
+            }
+            const { content: rawReply, usage } = result;
             
-            console.log(`[${this.name}] 发送请求到DeepSeek API，包含 ${messages.length} 条消息`);
+            this.recordTokenUsage(userId, groupId, usage, messages, rawReply);
+            this.logUsage(provider, model, userId, groupId, { startedAt, messages, usage, reply: rawReply });
             
-            const response = await axios.post(this.apiUrl, {
-                model: this.model,
-                messages: messages,
-                temperature: this.temperature,
-                max_tokens: this.maxTokens
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const reply = response.data.choices[0].message.content;
+            // 审核模型回复，被拦截的回复不计入上下文
+            const check = this.moderator.review(rawReply, { userId, groupId, stage: 'output' });
+            if (check.blocked) {
+                if (options.throwOnError) throw new Error(this.moderator.getBlockedMessage('output'));
+                return this.moderator.getBlockedMessage('output');
+            }
+            const reply = check.text;
             
             // 将用户消息和AI回复添加到上下文
-            this.addMessageToContext(userId, 'user', content);
-            this.addMessageToContext(userId, 'assistant', reply);
+            this.recordExchange(contextKey, userContent, reply, groupId, userId);
+            if (options.useMemory !== false) {
+                this.queueMemoryExtraction(userId, groupId, text);
+            }
             
             return reply;
         } catch (error) {
             console.error(`[${this.name}] 调用DeepSeek API失败:`, error);
-            return '抱歉，AI服务暂时不可用，请稍后再试。';
+            if (options.throwOnError) throw error;
+            return getErrorMessage(error);
+        }
+    }
+
+    /**
+     * 从流式缓冲区中切出已完成的句子或段落
+     * @param {string} buffer 尚未发送的文本
+     * @param {boolean} force 是否强制输出全部剩余内容
+     * @returns {{chunks: Array<string>, rest: string}} 可发送的分段和剩余文本
+     */
+    splitStreamBuffer(buffer, force = false) {
+        const chunks = [];
+        let rest = buffer;
+        
+        while (rest) {
+            // 优先按段落切分，其次按句末标点切分
+            let cut = -1;
+            const paragraphIndex = rest.indexOf('\n\n');
+            if (paragraphIndex !== -1 && paragraphIndex + 2 >= this.streamMinChunkLength) {
+                cut = paragraphIndex + 2;
+            } else {
+                const sentenceEnd = /[。！？!?…~～]+["”』」）)]?|\n/g;
+                let match;
+                while ((match = sentenceEnd.exec(rest)) !== null) {
+                    const end = match.index + match[0].length;
+                    if (end >= this.streamMinChunkLength) {
+                        cut = end;
+                        break;
+                    }
+                }
+            }
+            
+            if (cut === -1) break;
+            
+            const chunk = rest.substring(0, cut).trim();
+            if (chunk) chunks.push(chunk);
+            rest = rest.substring(cut);
+        }
+        
+        if (force && rest.trim()) {
+            chunks.push(rest.trim());
+            rest = '';
+        }
+        
+        return { chunks, rest };
+    }
+
+    /**
+     * 以流式方式调用DeepSeek API，每生成完整的句子或段落就回调一次
+     * 每一段在发送前单独审核，某一段被拦截后不再发送后续内容
+     * @param {string} content 对话内容
+     * @param {string} userId 用户ID
+     * @param {string} groupId 群组ID，用于选择提供方和模型
+     * @param {string} senderName 发送者昵称，共享上下文时用于标明发言人
+     * @param {Function} onChunk 分段回调 (chunk) => Promise<void>
+     * @returns {Promise<{reply: string, interrupted: boolean, error: Error|null}>} 完整回复、是否中途断开以及出错时的异常
+     */
+    async callDeepSeekAPIStream(content, userId, groupId, senderName, onChunk) {
+        const { contextKey, text, userContent, messages, provider, model, blocked } = this.prepareRequest(content, userId, groupId, senderName);
+        if (blocked) {
+            const notice = this.moderator.getBlockedMessage('input');
+            await onChunk(notice);
+            return { reply: notice, interrupted: false, error: null };
+        }
+        
+        let reply = '';
+        let pending = '';
+        let finished = false;
+        let usage = null;
+        let failure = null;
+        let sent = ''; // 审核后实际发送的内容
+        let outputBlocked = false;
+        
+        const emit = async (chunk) => {
+            if (outputBlocked) return;
+            const check = this.moderator.review(chunk, { userId, groupId, stage: 'output' });
+            if (check.blocked) {
+                outputBlocked = true;
+                await onChunk(this.moderator.getBlockedMessage('output'));
+                return;
+            }
+            sent += (sent ? '\n' : '') + check.text;
+            await onChunk(check.text);
+        };
+        
+        console.log(`[${this.name}] 发送流式请求到 ${provider.name} (${model})，包含 ${messages.length} 条消息`);
+        
+        const startedAt = Date.now();
+        try {
+            // 启用工具时每一轮都以流式请求，执行完工具后继续流式生成
+            const result = await this.chatWithTools(provider, model, messages, userId, groupId, async (delta) => {
+                reply += delta;
+                pending += delta;
+                
+                const { chunks, rest } = this.splitStreamBuffer(pending);
+                pending = rest;
+                for (const chunk of chunks) {
+                    await emit(chunk);
+                }
+            });
+            finished = result.finished;
+            usage = result.usage;
+        } catch (error) {
+            console.error(`[${this.name}] 流式调用DeepSeek API失败:`, error);
+            failure = error;
+        }
+        
+        // 发送剩余内容（包括中途断开前已生成的部分）
+        const { chunks } = this.splitStreamBuffer(pending, true);
+        for (const chunk of chunks) {
+            await emit(chunk);
+        }
+        
+        if (!finished) {
+            console.warn(`[${this.name}] 流式回复未正常结束，已生成 ${reply.length} 个字符`);
+        }
+        this.logUsage(provider, model, userId, groupId, { startedAt, messages, usage, reply, error: failure });
+        
+        // 只要有内容就记入上下文，保证下一轮对话能接上；被拦截的回复不计入上下文
+        if (reply) {
+            this.recordTokenUsage(userId, groupId, usage, messages, reply);
+            if (!outputBlocked) {
+                this.recordExchange(contextKey, userContent, sent, groupId, userId);
+                this.queueMemoryExtraction(userId, groupId, text);
+            }
+        }
+        
+        return { reply, interrupted: !finished, error: failure };
+    }
+
+    /**
+     * 回复消息，群聊使用 send_group_msg，私聊使用 send_private_msg
+     * @param {Object} message 原始消息对象
+     * @param {string} text 回复内容
+     * @returns {Promise<Object>} 接口返回结果
+     */
+    async sendReply(message, text) {
+        const result = message.message_type === 'private'
+            ? await this.client.callApi('send_private_msg', {
+                user_id: message.user_id.toString(),
+                message: text
+            })
+            : await this.client.callApi('send_group_msg', {
+                group_id: message.group_id.toString(),
+                message: text
+            });
+        this.rememberSentMessage(result);
+        return result;
+    }
+    
+    /**
+     * 记下机器人发出的消息ID，超过上限时丢弃最早的
+     * @param {Object} result 发送接口的返回结果
+     */
+    rememberSentMessage(result) {
+        const messageId = result && result.data ? result.data.message_id : null;
+        if (messageId === null || messageId === undefined) return;
+        
+        this.sentMessageIds.add(String(messageId));
+        if (this.sentMessageIds.size > this.sentMessageLimit) {
+            this.sentMessageIds.delete(this.sentMessageIds.values().next().value);
+        }
+    }
+
+    /**
+     * 群聊中回复时艾特发送者，私聊不需要
+     * @param {Object} message 原始消息对象
+     * @returns {string} 艾特前缀
+     */
+    getMentionPrefix(message) {
+        return message.message_type === 'group' ? `[CQ:at,qq=${message.user_id}] ` : '';
+    }
+
+    /**
+     * 以流式方式回复消息
+     * @param {Object} message 原始消息对象
+     * @param {string} query 用户输入
+     * @param {string} senderName 发送者昵称
+     */
+    async sendStreamingReply(message, query, senderName) {
+        const userId = message.user_id.toString();
+        const groupId = message.message_type === 'group' ? message.group_id.toString() : null;
+        
+        // 发送占位消息，收到第一段回复后撤回
+        let placeholderId = null;
+        try {
+            const result = await this.sendReply(message, this.streamPlaceholder);
+            placeholderId = result && result.data ? result.data.message_id : null;
+        } catch (sendError) {
+            console.error(`[${this.name}] 发送占位消息失败:`, sendError);
+        }
+        
+        const recallPlaceholder = async () => {
+            if (!placeholderId) return;
+            const messageId = placeholderId;
+            placeholderId = null;
+            try {
+                await this.client.callApi('delete_msg', { message_id: messageId });
+            } catch (recallError) {
+                console.error(`[${this.name}] 撤回占位消息失败:`, recallError);
+            }
+        };
+        
+        const { reply, interrupted, error } = await this.callDeepSeekAPIStream(query, userId, groupId, senderName, async (chunk) => {
+            await recallPlaceholder();
+            try {
+                await this.sendReply(message, this.delivery.render(chunk));
+            } catch (sendError) {
+                console.error(`[${this.name}] 发送分段消息失败:`, sendError);
+            }
+        });
+        
+        await recallPlaceholder();
+        
+        if (!reply) {
+            await this.sendReply(message, getErrorMessage(error));
+        } else if (interrupted) {
+            await this.sendReply(message, '（回复意外中断了，可以再问我一次哦~）');
         }
     }
 
@@ -421,96 +3015,157 @@ class DeepSeekPlugin {
      */
     async handleMessage(message) {
         try {
-            // 只处理群聊消息
-            if (message.message_type !== 'group') {
+            // 只处理群聊和私聊消息
+            if (message.message_type !== 'group' && message.message_type !== 'private') {
                 return false;
             }
 
-            // 获取消息内容和群号
+            // 获取消息内容和群号（私聊时群号为空）
             const content = message.raw_message || message.message;
-            const groupId = message.group_id.toString();
+            const isPrivate = message.message_type === 'private';
+            const groupId = isPrivate ? null : message.group_id.toString();
             const userId = message.user_id.toString();
+            const senderName = message.sender ? (message.sender.card || message.sender.nickname) : '';
+            const mention = this.getMentionPrefix(message);
+            if (message.self_id) {
+                this.selfId = message.self_id.toString();
+            }
 
-            console.log(`[${this.name}] 收到消息: ${content}`);
+            console.log(`[${this.name}] 收到${isPrivate ? '私聊' : '群'}消息: ${content}`);
+            
+            if (typeof content !== 'string') {
+                return false;
+            }
+            
+            // 以命令前缀开头的命令（admin、clear、export、remember、forget、memories）不受触发方式开关影响
+            const prefixRest = this.stripCommandPrefix(content);
             
             // 检查是否是管理命令
-            if (typeof content === 'string' && content.toLowerCase().startsWith('ai admin')) {
-                const adminCommand = content.substring(8).trim();
+            const adminCommand = this.matchSubcommand(prefixRest, 'admin');
+            if (adminCommand !== null) {
                 const reply = await this.handleAdminCommand(adminCommand, userId, groupId);
                 
-                await this.client.callApi('send_group_msg', {
-                    group_id: groupId,
-                    message: reply
-                });
+                await this.sendReply(message, reply);
                 
                 return true;
             }
             
+            // 判断是否触发AI对话（以ai开头、艾特机器人或回复机器人的消息）
+            const isClearCommand = this.matchSubcommand(prefixRest, 'clear') === '';
+            const exportRest = this.matchSubcommand(prefixRest, 'export');
+            const exportArgs = exportRest !== null ? exportRest.split(/\s+/).filter(Boolean) : null;
+            const memoryCommand = ['remember', 'forget', 'memories']
+                .map(command => ({ command, args: this.matchSubcommand(prefixRest, command) }))
+                .find(item => item.args !== null);
+            const isUserCommand = isClearCommand || exportArgs !== null || !!memoryCommand;
+            const request = isUserCommand ? null : await this.detectTrigger(message, content, groupId);
+            if (!isUserCommand && !request) {
+                return false;
+            }
+            
+            // 私聊需要通过主人设置的白名单或黑名单
+            if (isPrivate && !this.isPrivateChatAllowed(userId)) {
+                console.log(`[${this.name}] 用户 ${userId} 无权使用私聊，忽略消息`);
+                return false;
+            }
+            
             // 处理清除上下文命令
-            if (typeof content === 'string' && content.toLowerCase() === 'ai clear') {
-                if (this.clearUserContext(userId)) {
-                    await this.client.callApi('send_group_msg', {
-                        group_id: groupId,
-                        message: `[CQ:at,qq=${userId}] 已清除你的对话上下文`
-                    });
+            if (isClearCommand) {
+                // 全群共享的上下文只能由主人或本群的群管理员清除
+                if (!isPrivate && this.getContextScope(groupId) === 'group' && !this.getRole(userId, groupId)) {
+                    await this.sendReply(message, `${mention}本群使用共享上下文，只有主人或群管理员可以清除`);
+                    return true;
+                }
+                
+                if (this.clearContext(this.getContextKey(userId, groupId))) {
+                    const shared = !isPrivate && this.getContextScope(groupId) === 'group';
+                    await this.sendReply(message, `${mention}已清除${shared ? '本群的共享' : '你的'}对话上下文`);
                 } else {
-                    await this.client.callApi('send_group_msg', {
-                        group_id: groupId,
-                        message: `[CQ:at,qq=${userId}] 清除对话上下文失败，请稍后再试`
-                    });
+                    await this.sendReply(message, `${mention}清除对话上下文失败，请稍后再试`);
                 }
                 return true;
             }
 
-            // 检查消息是否以"ai"开头(不区分大小写)
-            if (typeof content === 'string' && content.toLowerCase().startsWith('ai')) {
-                // 检查群组是否在黑名单中
-                if (this.isGroupBlacklisted(groupId)) {
-                    console.log(`[${this.name}] 群组 ${groupId} 在黑名单中，忽略消息`);
-                    return false;
+            // 检查群组是否在黑名单中
+            if (!isPrivate && this.isGroupBlacklisted(groupId)) {
+                console.log(`[${this.name}] 群组 ${groupId} 在黑名单中，忽略消息`);
+                return false;
+            }
+            
+            // 检查用户是否在黑名单中
+            const ban = this.getUserBan(userId, groupId);
+            if (ban) {
+                console.log(`[${this.name}] 用户 ${userId} 在黑名单中，忽略消息`);
+                const details = [
+                    ban.reason ? `原因: ${ban.reason}` : '',
+                    ban.expiresAt ? `${this.formatDateTime(ban.expiresAt)}解除` : ''
+                ].filter(Boolean).join('，');
+                await this.sendReply(message, `${mention}你已被列入黑名单，无法使用AI功能${details ? `（${details}）` : ''}`);
+                return true;
+            }
+            
+            // 处理长期记忆命令
+            if (memoryCommand) {
+                const memoryReply = this.handleMemoryCommand(memoryCommand.command, memoryCommand.args, userId, groupId);
+                await this.sendReply(message, `${mention}${memoryReply}`);
+                return true;
+            }
+            
+            // 处理导出对话记录命令
+            if (exportArgs !== null) {
+                const exportReply = await this.handleExportCommand(message, exportArgs, userId, groupId);
+                if (exportReply) {
+                    await this.sendReply(message, `${mention}${exportReply}`);
                 }
-                
-                // 检查用户是否在黑名单中
-                if (this.isUserBlacklisted(userId)) {
-                    console.log(`[${this.name}] 用户 ${userId} 在黑名单中，忽略消息`);
-                    await this.client.callApi('send_group_msg', {
-                        group_id: groupId,
-                        message: `[CQ:at,qq=${userId}] 你已被列入黑名单，无法使用AI功能`
-                    });
+                return true;
+            }
+            
+            console.log(`[${this.name}] 收到AI对话请求(${request.via}): ${content}`);
+            
+            // 拼接被引用的消息
+            const query = this.composeQuery(request.query, request.quoted);
+            
+            // 检查频率限制和每日额度
+            if (query && !this.isMaster(userId)) {
+                const limit = this.rateLimiter.check(userId, groupId);
+                if (!limit.allowed) {
+                    console.log(`[${this.name}] 用户 ${userId} 触发限制 ${limit.reason}`);
+                    await this.sendReply(message, `${mention}${this.rateLimiter.getLimitMessage(limit)}`);
                     return true;
                 }
-                
-                console.log(`[${this.name}] 收到AI对话请求: ${content}`);
-                
-                // 提取ai后面的内容
-                const query = content.substring(2).trim();
-                
-                // 组装回复
-                let reply = '';
-                if (query) {
-                    // 调用DeepSeek API (传入用户ID以便使用上下文)
-                    reply = await this.callDeepSeekAPI(query, userId);
-                } else {
-                    reply = '请在ai后面输入要对话的内容';
-                }
-                
-                console.log(`[${this.name}] 准备回复: ${reply}, 群号: ${groupId}`);
-                
-                // 发送群消息
+                this.rateLimiter.hit(userId, groupId);
+            }
+            
+            // 流式模式下边生成边发送
+            if (query && this.streamEnabled) {
                 try {
-                    const result = await this.client.callApi('send_group_msg', {
-                        group_id: groupId,
-                        message: reply
-                    });
-                    console.log(`[${this.name}] 发送消息结果:`, result);
+                    await this.sendStreamingReply(message, query, senderName);
                 } catch (sendError) {
-                    console.error(`[${this.name}] 发送消息失败:`, sendError);
+                    console.error(`[${this.name}] 发送流式回复失败:`, sendError);
                 }
-                
-                return true; // 表示已处理该消息
+                return true;
+            }
+            
+            // 组装回复
+            let reply = '';
+            if (query) {
+                // 调用DeepSeek API (传入用户ID以便使用上下文，群号用于选择模型)
+                reply = await this.callDeepSeekAPI(query, userId, groupId, senderName);
+            } else {
+                reply = request.via === 'prefix' ? `请在${this.commandConfig.prefixes[0]}后面输入要对话的内容` : `${mention}找我有什么事呀？直接说就好~`;
+            }
+            
+            console.log(`[${this.name}] 准备回复: ${reply}, ${isPrivate ? `私聊: ${userId}` : `群号: ${groupId}`}`);
+            
+            // 发送消息，长回复按发送策略合并转发或切分
+            try {
+                const strategy = await this.delivery.deliver(message, reply, { senderName: this.getActivePersonaName(groupId) });
+                console.log(`[${this.name}] 回复已发送（${strategy}）`);
+            } catch (sendError) {
+                console.error(`[${this.name}] 发送消息失败:`, sendError);
             }
             
-            return false; // 未处理该消息
+            return true; // 表示已处理该消息
         } catch (error) {
             console.error(`[${this.name}] 处理消息出错:`, error);
             return false;
@@ -518,4 +3173,4 @@ class DeepSeekPlugin {
     }
 }
 
-module.exports = DeepSeekPlugin; 
\ No newline at end of file
+module.exports = DeepSeekPlugin;
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextRun } = require('../common/cron');
+
+// 本地时间，cron 按本地时区计算
+function at(year, month, day, hour = 0, minute = 0) {
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+test('范围和列表', () => {
+    const schedule = parseCron('0 9-11,14 * * *');
+    assert.deepEqual([...schedule.hour.values], [9, 10, 11, 14]);
+    assert.equal(schedule.hour.any, false);
+    assert.equal(schedule.dayOfMonth.any, true);
+
+    assert.deepEqual(getNextRun(schedule, at(2026, 3, 2, 11, 30)), at(2026, 3, 2, 14, 0));
+    assert.deepEqual(getNextRun(schedule, at(2026, 3, 2, 14, 0)), at(2026, 3, 3, 9, 0));
+});
+
+test('步长', () => {
+    assert.deepEqual([...parseCron('*/15 * * * *').minute.values], [0, 15, 30, 45]);
+    assert.deepEqual([...parseCron('10-30/10 * * * *').minute.values], [10, 20, 30]);
+    // a/n 从 a 开始到最大值
+    assert.deepEqual([...parseCron('0 20/2 * * *').hour.values], [20, 22]);
+
+    assert.deepEqual(getNextRun('0 */2 * * *', at(2026, 3, 2, 23, 5)), at(2026, 3, 3, 0, 0));
+    assert.throws(() => parseCron('*/0 * * * *'), /步长必须大于0/);
+});
+
+test('月份和星期的英文缩写，星期7表示周日', () => {
+    const schedule = parseCron('30 21 * JAN-MAR mon,FRI');
+    assert.deepEqual([...schedule.month.values], [1, 2, 3]);
+    assert.deepEqual([...schedule.dayOfWeek.values], [1, 5]);
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek.values], [0]);
+
+    // 2026-03-02 是周一
+    assert.deepEqual(getNextRun(schedule, at(2026, 3, 2, 22, 0)), at(2026, 3, 6, 21, 30));
+    // 3月之后跳到下一年1月的第一个周一
+    assert.deepEqual(getNextRun(schedule, at(2026, 3, 31, 0, 0)), at(2027, 1, 1, 21, 30));
+});
+
+test('日和周都有限制时满足其中一个即可', () => {
+    // 每月13日，或者每个周五
+    const schedule = parseCron('0 12 13 * 5');
+    // 2026-02-06 是周五
+    assert.deepEqual(getNextRun(schedule, at(2026, 2, 1)), at(2026, 2, 6, 12, 0));
+    assert.deepEqual(getNextRun(schedule, at(2026, 2, 10)), at(2026, 2, 13, 12, 0));
+
+    // 只限制日期时星期不参与判断
+    assert.deepEqual(getNextRun('0 12 13 * *', at(2026, 2, 1)), at(2026, 2, 13, 12, 0));
+});
+
+test('简写', () => {
+    assert.deepEqual(getNextRun('@daily', at(2026, 3, 2, 8, 0)), at(2026, 3, 3, 0, 0));
+    assert.deepEqual(getNextRun('@monthly', at(2026, 3, 2)), at(2026, 4, 1, 0, 0));
+    assert.equal(parseCron('@HOURLY').expression, '@HOURLY');
+});
+
+test('从不触发的表达式返回空', () => {
+    assert.equal(getNextRun('0 0 30 2 *', at(2026, 1, 1)), null);
+    assert.equal(getNextRun('0 0 31 4,6,9,11 *', at(2026, 1, 1)), null);
+});
+
+test('不在当前分钟触发', () => {
+    assert.deepEqual(getNextRun('* * * * *', new Date(2026, 2, 2, 8, 0, 30)), at(2026, 3, 2, 8, 1));
+});
+
+test('格式错误时抛出中文说明', () => {
+    assert.throws(() => parseCron('0 8 * *'), /应为5段/);
+    assert.throws(() => parseCron('60 * * * *'), /分钟只能在 0-59 之间/);
+    assert.throws(() => parseCron('0 8 * * FOO'), /星期 FOO 不是有效的值/);
+    assert.throws(() => parseCron('0 10-8 * * *'), /起点大于终点/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+const backup = JSON.stringify({ summary: '', messages: [{ role: 'user', content: '你好' }, { role: 'assistant', content: '你好呀' }] });
+
+function setup(t) {
+    const context = createPlugin();
+    t.after(context.cleanup);
+    fs.mkdirSync(context.plugin.exportDir, { recursive: true });
+    return context;
+}
+
+test('导入导出目录中的文件', (t) => {
+    const { plugin } = setup(t);
+    fs.writeFileSync(path.join(plugin.exportDir, 'backup.json'), backup);
+
+    const reply = plugin.handleImportCommand('20001 backup.json', '10001');
+    assert.match(reply, /已将 2 条消息导入/);
+    assert.equal(plugin.contexts[plugin.getContextKey('20001', '10001')].messages.length, 2);
+});
+
+test('拒绝绝对路径和导出目录之外的文件', (t) => {
+    const { plugin, dir } = setup(t);
+    // 导出目录外面放一个合法的备份，确认不能通过路径读到
+    const outside = path.join(dir, 'outside.json');
+    fs.writeFileSync(outside, backup);
+    fs.mkdirSync(path.join(plugin.exportDir, 'sub'));
+    fs.writeFileSync(path.join(plugin.exportDir, 'sub', 'nested.json'), backup);
+
+    for (const target of [outside, '../outside.json', 'sub/../../outside.json', 'sub/nested.json', '/etc/passwd']) {
+        const reply = plugin.handleImportCommand(`20001 ${target}`, '10001');
+        assert.equal(reply, '只能导入导出目录中的文件，请直接填写文件名', target);
+    }
+    assert.equal(plugin.contexts[plugin.getContextKey('20001', '10001')], undefined);
+});
+
+test('文件不存在时不泄露服务器路径', (t) => {
+    const { plugin } = setup(t);
+    assert.equal(plugin.handleImportCommand('20001 missing.json', '10001'), '找不到备份文件: missing.json');
+});
+
+test('直接粘贴JSON备份', (t) => {
+    const { plugin } = setup(t);
+    assert.match(plugin.handleImportCommand(`20001 ${backup}`, '10001'), /已将 2 条消息导入/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMError, getErrorMessage } = require('../common/llm-providers');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+function setup(t, chat) {
+    const context = createPlugin();
+    const { plugin } = context;
+    const requests = [];
+    plugin.providerInstances[plugin.defaultProvider] = {
+        name: 'fake',
+        chat: async (options) => { requests.push(options); return chat(options); }
+    };
+    plugin.personas = { 猫娘: { name: '猫娘', prompt: '你是一只猫娘' } };
+    t.after(context.cleanup);
+    return { plugin, requests };
+}
+
+test('人设预览计入用量统计和每日额度', async (t) => {
+    const { plugin, requests } = setup(t, async () => ({ content: '喵~', usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } }));
+
+    const reply = await plugin.handlePersonaCommand('preview 猫娘 你好', '20001', '10001');
+    assert.match(reply, /试答「你好」:\n喵~$/);
+    assert.equal(requests[0].messages[0].content, '你是一只猫娘');
+
+    const [entry] = plugin.usageLog.read(0);
+    assert.equal(entry.source, 'preview');
+    assert.equal(entry.userId, '20001');
+    assert.equal(plugin.rateLimiter.usage.users['20001'], 15);
+});
+
+test('人设预览审核测试消息和回复', async (t) => {
+    const { plugin, requests } = setup(t, async () => ({ content: '不该发的内容', usage: null }));
+    let blockStage = 'input';
+    plugin.moderator.review = (text, { stage }) => ({ blocked: stage === blockStage, text });
+
+    assert.match(await plugin.handlePersonaCommand('preview 猫娘 坏消息', '20001', '10001'), new RegExp(`${plugin.moderator.getBlockedMessage('input')}$`));
+    assert.equal(requests.length, 0);
+
+    blockStage = 'output';
+    const reply = await plugin.handlePersonaCommand('preview 猫娘 你好', '20001', '10001');
+    assert.ok(reply.endsWith(plugin.moderator.getBlockedMessage('output')));
+    assert.doesNotMatch(reply, /不该发的内容/);
+});
+
+test('人设预览失败时使用统一的错误提示', async (t) => {
+    const { plugin } = setup(t, async () => { throw new LLMError('quota', 'insufficient balance'); });
+
+    const reply = await plugin.handlePersonaCommand('preview 猫娘 你好', '20001', '10001');
+    assert.ok(reply.endsWith(`试答失败: ${getErrorMessage(new LLMError('quota', ''))}`));
+    assert.ok(plugin.usageLog.read(0)[0].error);
+});
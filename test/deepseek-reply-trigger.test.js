@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+const SELF_ID = 10000;
+
+function setup(t) {
+    const calls = [];
+    let nextId = 500;
+    const context = createPlugin({
+        callApi: async (action, params) => {
+            calls.push({ action, params });
+            if (action === 'get_msg') {
+                return { data: { raw_message: '机器人之前的回答', sender: { user_id: SELF_ID } } };
+            }
+            return { data: { message_id: nextId++ } };
+        }
+    });
+    t.after(context.cleanup);
+    context.plugin.loadCommandConfig();
+    return { plugin: context.plugin, calls };
+}
+
+function groupMessage(content, userId = 20001) {
+    return { message_type: 'group', group_id: 10001, user_id: userId, self_id: SELF_ID, raw_message: content };
+}
+
+test('回复普通成员的消息时不调用 get_msg', async (t) => {
+    const { plugin, calls } = setup(t);
+
+    const request = await plugin.detectTrigger(groupMessage('[CQ:reply,id=123]同意'), '[CQ:reply,id=123]同意', '10001');
+    assert.equal(request, null);
+    assert.equal(calls.length, 0);
+});
+
+test('回复机器人发出的消息时触发并带上引用内容', async (t) => {
+    const { plugin, calls } = setup(t);
+    await plugin.sendReply(groupMessage('ai 你好'), '你好呀');
+    await plugin.delivery.deliver(groupMessage('ai 你好'), '第二条回复', { strategy: 'single' });
+    assert.deepEqual([...plugin.sentMessageIds], ['500', '501']);
+
+    for (const id of ['500', '501']) {
+        const content = `[CQ:reply,id=${id}]然后呢`;
+        const request = await plugin.detectTrigger(groupMessage(content), content, '10001');
+        assert.deepEqual(request, { via: 'reply', query: '然后呢', quoted: '机器人之前的回答' });
+    }
+    assert.equal(calls.filter(call => call.action === 'get_msg').length, 2);
+});
+
+test('已经用前缀触发时获取引用内容，黑名单中的群和用户不获取', async (t) => {
+    const { plugin, calls } = setup(t);
+    const content = '[CQ:reply,id=123]ai 解释一下';
+
+    const request = await plugin.detectTrigger(groupMessage(content), content, '10001');
+    assert.equal(request.via, 'prefix');
+    assert.equal(request.quoted, '机器人之前的回答');
+    assert.equal(calls.length, 1);
+
+    plugin.blacklist.users.push({ id: '20002' });
+    await plugin.detectTrigger(groupMessage(content, 20002), content, '10001');
+    plugin.blacklist.groups.push({ id: '10001' });
+    await plugin.detectTrigger(groupMessage(content), content, '10001');
+    assert.equal(calls.length, 1);
+});
+
+test('记录的消息ID有上限', (t) => {
+    const { plugin } = setup(t);
+    plugin.sentMessageLimit = 2;
+    for (const id of [1, 2, 3]) plugin.rememberSentMessage({ data: { message_id: id } });
+    plugin.rememberSentMessage({});
+    assert.deepEqual([...plugin.sentMessageIds], ['2', '3']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMError } = require('../common/llm-providers');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+function setup(t) {
+    const context = createPlugin();
+    const { plugin } = context;
+    const delivered = [];
+    plugin.delivery.deliver = async (message, reply) => { delivered.push({ message, reply }); };
+    const schedule = { id: 1, groupId: '10001', cron: '0 8 * * *', prompt: '说早安', createdBy: '20001', createdAt: 0, lastRunAt: null };
+    plugin.schedules = [schedule];
+    t.after(context.cleanup);
+    return { plugin, delivered, schedule };
+}
+
+test('调用失败时不发送、不更新 lastRunAt，schedule run 报告失败原因', async (t) => {
+    const { plugin, delivered, schedule } = setup(t);
+    plugin.chatWithTools = async () => { throw new LLMError('timeout', 'request timed out'); };
+
+    assert.equal(await plugin.runSchedule(schedule), false);
+    assert.equal(delivered.length, 0);
+    assert.equal(schedule.lastRunAt, null);
+
+    const reply = await plugin.handleScheduleCommand('run 1', '20001', '10001');
+    assert.match(reply, /发送失败/);
+    assert.match(reply, /超时/);
+});
+
+test('回复被审核拦截时同样视为失败', async (t) => {
+    const { plugin, delivered, schedule } = setup(t);
+    plugin.chatWithTools = async () => ({ content: '回复', usage: null });
+    plugin.moderator.review = (text, { stage }) => ({ blocked: stage === 'output', text });
+
+    assert.equal(await plugin.runSchedule(schedule), false);
+    assert.equal(delivered.length, 0);
+    assert.equal(schedule.lastRunAt, null);
+    assert.equal(schedule.lastError, plugin.moderator.getBlockedMessage('output'));
+});
+
+test('成功时发送到群里并记录 lastRunAt', async (t) => {
+    const { plugin, delivered, schedule } = setup(t);
+    plugin.chatWithTools = async () => ({ content: '大家早安', usage: null });
+
+    assert.equal(await plugin.runSchedule(schedule), true);
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].reply, '大家早安');
+    assert.equal(delivered[0].message.group_id, '10001');
+    assert.ok(schedule.lastRunAt > 0);
+    assert.equal(await plugin.handleScheduleCommand('run 1', '20001', '10001'), '已发送定时消息 #1');
+});
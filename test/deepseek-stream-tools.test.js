@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const toolRegistry = require('../common/tool-registry');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+test('流式回复中模型调用工具：执行工具后继续流式生成', async (t) => {
+    const { plugin, cleanup } = createPlugin();
+    t.after(cleanup);
+    toolRegistry.register({
+        name: 'test_weather',
+        description: '查询天气',
+        parameters: { type: 'object', properties: { city: { type: 'string' } } },
+        owner: 'test',
+        handler: async (args) => `${args.city} 晴`
+    });
+    t.after(() => toolRegistry.unregisterOwner('test'));
+
+    const requests = [];
+    plugin.providerInstances[plugin.defaultProvider] = {
+        name: 'fake',
+        model: 'fake-model',
+        supportsTools: true,
+        chat: async () => { throw new Error('启用流式时不应使用普通请求'); },
+        chatStream: async (options, onDelta) => {
+            requests.push({ tools: options.tools, messages: options.messages.map(msg => ({ ...msg })) });
+            if (requests.length === 1) {
+                return { finished: true, usage: { prompt_tokens: 10, completion_tokens: 5 }, toolCalls: [{ id: 'call_1', name: 'test_weather', arguments: { city: '上海' } }] };
+            }
+            await onDelta('上海今天是晴天。');
+            await onDelta('适合出门玩！');
+            return { finished: true, usage: { prompt_tokens: 20, completion_tokens: 8 }, toolCalls: [] };
+        }
+    };
+
+    const chunks = [];
+    const result = await plugin.callDeepSeekAPIStream('上海天气怎么样', '20001', '10001', '小明', async (chunk) => { chunks.push(chunk); });
+
+    assert.equal(requests.length, 2);
+    assert.ok(requests[0].tools.some(tool => tool.name === 'test_weather'));
+    const toolMessage = requests[1].messages.find(msg => msg.role === 'tool');
+    assert.equal(toolMessage.content, '上海 晴');
+    assert.equal(toolMessage.toolCallId, 'call_1');
+
+    assert.equal(result.reply, '上海今天是晴天。适合出门玩！');
+    assert.equal(result.interrupted, false);
+    assert.equal(chunks.join(''), '上海今天是晴天。适合出门玩！');
+});
+
+test('没有工具时直接流式生成', async (t) => {
+    const { plugin, cleanup } = createPlugin();
+    t.after(cleanup);
+    plugin.toolsEnabled = false;
+    let streamed = 0;
+    plugin.providerInstances[plugin.defaultProvider] = {
+        name: 'fake',
+        model: 'fake-model',
+        supportsTools: true,
+        chatStream: async (options, onDelta) => {
+            streamed++;
+            assert.equal(options.tools, undefined);
+            await onDelta('你好呀，有什么可以帮你的吗？');
+            return { finished: true, usage: null, toolCalls: [] };
+        }
+    };
+
+    const chunks = [];
+    const result = await plugin.callDeepSeekAPIStream('你好', '20001', '10001', '小明', async (chunk) => { chunks.push(chunk); });
+    assert.equal(streamed, 1);
+    assert.equal(result.reply, '你好呀，有什么可以帮你的吗？');
+    assert.deepEqual(chunks, ['你好呀，有什么可以帮你的吗？']);
+});
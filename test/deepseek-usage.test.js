@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMError } = require('../common/llm-providers');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+function setup(t, chat) {
+    const context = createPlugin();
+    const { plugin } = context;
+    plugin.providerInstances[plugin.defaultProvider] = { name: 'fake', chat };
+    t.after(context.cleanup);
+    return plugin;
+}
+
+function usage(prompt, completion) {
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+test('上下文摘要计入额度和用量统计，来源为 summary', async (t) => {
+    const plugin = setup(t, async () => ({ content: '用户在问机械动力', usage: usage(30, 10) }));
+    const evicted = [{ role: 'user', content: '机械动力怎么玩' }, { role: 'assistant', content: '先做齿轮' }];
+
+    await plugin.summarizeEvictedMessages('group_10001', evicted, '10001', '20001');
+
+    const [entry] = plugin.usageLog.read(0);
+    assert.equal(entry.source, 'summary');
+    assert.equal(entry.userId, '20001');
+    assert.equal(entry.groupId, '10001');
+    assert.equal(entry.promptTokens, 30);
+    assert.equal(entry.completionTokens, 10);
+    assert.equal(plugin.rateLimiter.usage.users['20001'], 40);
+    assert.equal(plugin.rateLimiter.usage.groups['10001'], 40);
+});
+
+test('摘要不超过 summaryMaxChars', async (t) => {
+    const plugin = setup(t, async () => ({ content: '一二三四五六七八九十', usage: null }));
+    plugin.summaryMaxChars = 6;
+
+    await plugin.summarizeEvictedMessages('group_10001', [{ role: 'user', content: '你好' }], '10001', '20001');
+    assert.equal(plugin.loadContext('group_10001').summary, '一二三四五六');
+});
+
+test('记忆提取计入额度和用量统计，失败时也记录', async (t) => {
+    let fail = false;
+    const plugin = setup(t, async () => {
+        if (fail) throw new LLMError('quota', 'insufficient balance');
+        return { content: '{"facts": ["喜欢玩整合包"]}', usage: usage(50, 8) };
+    });
+
+    await plugin.extractMemories('20001', null, ['我最近在玩整合包']);
+    fail = true;
+    await assert.rejects(plugin.extractMemories('20001', null, ['再说一句']));
+
+    const entries = plugin.usageLog.read(0);
+    assert.deepEqual(entries.map(entry => entry.source), ['memory', 'memory']);
+    assert.equal(entries[0].error, null);
+    assert.ok(entries[1].error);
+    assert.equal(plugin.rateLimiter.usage.users['20001'], 58);
+    assert.equal(plugin.memory.list('20001').length, 1);
+});
+
+test('报告按用途分别统计，旧记录按对话计算', () => {
+    const UsageLog = require('../common/usage-log');
+    const log = new UsageLog('test', '/nonexistent');
+    const summary = log.summarize([
+        { userId: '1', promptTokens: 10, completionTokens: 5 },
+        { source: 'chat', userId: '1', promptTokens: 10, completionTokens: 5 },
+        { source: 'summary', userId: '1', promptTokens: 20, completionTokens: 0 }
+    ]);
+    assert.deepEqual(Object.keys(summary.sources).sort(), ['chat', 'summary']);
+    assert.equal(summary.sources.chat.calls, 2);
+    assert.equal(summary.sources.summary.tokens, 20);
+});
+
+test('countTokens: 用量缺少的部分按文本估算并标记为估算', () => {
+    const UsageLog = require('../common/usage-log');
+    const messages = [{ role: 'user', content: '你好abc' }];
+
+    assert.deepEqual(UsageLog.countTokens(usage(10, 5), messages, '回复'), { promptTokens: 10, completionTokens: 5, totalTokens: 15, estimated: false });
+    assert.deepEqual(UsageLog.countTokens(null, messages, '回复'), { promptTokens: 7, completionTokens: 2, totalTokens: 9, estimated: true });
+    assert.deepEqual(UsageLog.countTokens({ prompt_tokens: 10, total_tokens: 10 }, messages, '回复'), { promptTokens: 10, completionTokens: 2, totalTokens: 12, estimated: true });
+});
+
+test('两个插件对同一次调用记录相同的用量', async (t) => {
+    const fs = require('fs');
+    const path = require('path');
+    const ModPlugin = require('../MC百科搜索工具/mcmods');
+    const chat = async () => ({ content: '机械动力是一个科技模组', usage: null });
+    const plugin = setup(t, chat);
+    const mod = new ModPlugin({ callApi: async () => ({}) });
+    const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'mcmods-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    mod.usageLog.filePath = path.join(dir, 'usage_log.jsonl');
+    mod.rateLimiter.filePath = path.join(dir, 'quota.json');
+    mod.providerInstances[mod.defaultProvider] = { name: mod.defaultProvider, chat };
+    const messages = [{ role: 'system', content: '你是MOD助手' }, { role: 'user', content: '机械动力是什么' }];
+
+    await mod.callDeepSeekAPI(messages, '10001', '20001');
+    await plugin.chatWithAccounting(plugin.providerInstances[plugin.defaultProvider], 'model', '20001', '10001', 'chat', { messages });
+
+    const [modEntry] = mod.usageLog.read(0);
+    const [entry] = plugin.usageLog.read(0);
+    assert.equal(modEntry.promptTokens, entry.promptTokens);
+    assert.equal(modEntry.completionTokens, entry.completionTokens);
+    assert.equal(modEntry.estimated, true);
+    assert.equal(mod.rateLimiter.usage.users['20001'], plugin.rateLimiter.usage.users['20001']);
+});
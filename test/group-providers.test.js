@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { groupProviders } = require('../common/llm-providers');
+const ModPlugin = require('../MC百科搜索工具/mcmods');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+function setup(t) {
+    const context = createPlugin();
+    t.after(context.cleanup);
+
+    const mod = new ModPlugin({ callApi: async () => ({}) });
+    for (const key of ['blacklistPath', 'modAliasesPath', 'recipesPath', 'cachePath', 'legacyGroupProvidersPath']) {
+        mod[key] = path.join(context.dir, `mod_${path.basename(mod[key])}`);
+    }
+    mod.cache.filePath = mod.cachePath;
+    return { deepseek: context.plugin, mod, dir: context.dir };
+}
+
+test('在一个插件中切换提供方，另一个插件使用同一份设置', async (t) => {
+    const { deepseek, mod } = setup(t);
+
+    assert.equal(deepseek.handleProviderCommand(['ollama', 'qwen2.5:14b'], '10001'), '本群已切换到 ollama (qwen2.5:14b)');
+    assert.equal(deepseek.resolveProvider('10001').provider.name, 'ollama');
+    assert.equal(mod.resolveProvider('10001').provider.name, 'ollama');
+    assert.equal(mod.resolveProvider('10001').model, 'qwen2.5:14b');
+    assert.equal(mod.resolveProvider('10002').provider.name, mod.defaultProvider);
+
+    assert.equal(await mod.handleProviderCommand(['reset'], '10001'), `本群已恢复默认提供方 ${mod.defaultProvider}`);
+    assert.equal(deepseek.resolveProvider('10001').provider.name, deepseek.defaultProvider);
+
+    // 保存到文件，重新加载后仍然一致
+    await mod.handleProviderCommand(['echo'], '10003');
+    groupProviders.groups = {};
+    groupProviders.load();
+    assert.deepEqual(groupProviders.groups, { 10003: { provider: 'echo' } });
+    assert.equal(deepseek.resolveProvider('10003').provider.name, 'echo');
+});
+
+test('插件没有配置群里选择的提供方时使用自己的默认提供方', (t) => {
+    const { deepseek, mod } = setup(t);
+    deepseek.providers.local = { type: 'echo' };
+    deepseek.handleProviderCommand(['local'], '10001');
+
+    assert.equal(deepseek.resolveProvider('10001').provider.name, 'local');
+    assert.equal(mod.resolveProvider('10001').provider.name, mod.defaultProvider);
+});
+
+test('迁移两个插件以前各自保存的设置，已有的共用设置优先', async (t) => {
+    const { deepseek, mod } = setup(t);
+    deepseek.groupSettings = {
+        10001: { provider: 'ollama', model: 'qwen2.5:7b', persona: '猫娘' },
+        10002: { persona: '助手' }
+    };
+    fs.writeFileSync(mod.legacyGroupProvidersPath, JSON.stringify({ 10001: { provider: 'echo' }, 10003: { provider: 'echo' } }));
+
+    deepseek.migrateGroupProviders();
+    await mod.loadData();
+
+    assert.deepEqual(groupProviders.groups, {
+        10001: { provider: 'ollama', model: 'qwen2.5:7b' },
+        10003: { provider: 'echo' }
+    });
+    assert.deepEqual(deepseek.groupSettings, { 10001: { persona: '猫娘' }, 10002: { persona: '助手' } });
+    assert.equal(fs.existsSync(mod.legacyGroupProvidersPath), false);
+    assert.equal(fs.existsSync(`${mod.legacyGroupProvidersPath}.bak`), true);
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { groupProviders } = require('../../common/llm-providers');
+const DeepSeekPlugin = require('../../deepseek/deepseek-plugin');
+
+/**
+ * 创建数据文件都写在临时目录中的 DeepSeekPlugin，测试结束后调用 cleanup 删除
+ * @param {Object} client 机器人客户端，默认只记录调用
+ * @returns {{plugin: DeepSeekPlugin, dir: string, calls: Array, cleanup: Function}}
+ */
+function createPlugin(client) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deepseek-test-'));
+    const calls = [];
+    const plugin = new DeepSeekPlugin(client || { callApi: async (action, params) => { calls.push({ action, params }); return {}; } });
+
+    plugin.commandConfigPath = path.join(dir, 'commands.json');
+    plugin.groupSettingsPath = path.join(dir, 'group_settings.json');
+    plugin.toolAuditPath = path.join(dir, 'tool_audit.log');
+    plugin.personaDir = path.join(dir, 'personas');
+    plugin.rolesPath = path.join(dir, 'roles.json');
+    plugin.blacklistPath = path.join(dir, 'blacklist.json');
+    plugin.privateAccessPath = path.join(dir, 'private_access.json');
+    plugin.contextDir = path.join(dir, 'contexts');
+    plugin.exportDir = path.join(dir, 'exports');
+    plugin.schedulesPath = path.join(dir, 'schedules.json');
+    plugin.rateLimiter.filePath = path.join(dir, 'quota.json');
+    plugin.moderator.configPath = path.join(dir, 'moderation.json');
+    plugin.moderator.logPath = path.join(dir, 'moderation.log');
+    plugin.usageLog.filePath = path.join(dir, 'usage_log.jsonl');
+    plugin.memory.filePath = path.join(dir, 'memories.json');
+    // 各插件共用的群组提供方设置
+    groupProviders.filePath = path.join(dir, 'group_providers.json');
+    groupProviders.groups = {};
+
+    return { plugin, dir, calls, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+module.exports = { createPlugin };
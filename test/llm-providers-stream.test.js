@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const { OpenAICompatibleProvider, OllamaProvider, LLMError } = require('../common/llm-providers');
+
+// 用 PassThrough 模拟服务端的流式响应，返回的 stream 由测试写入数据
+function mockStreamResponse(t) {
+    const stream = new PassThrough();
+    const originalPost = axios.post;
+    const requests = [];
+    axios.post = async (url, body, config) => {
+        requests.push({ url, body, config });
+        return { data: stream };
+    };
+    t.after(() => { axios.post = originalPost; });
+    return { stream, requests };
+}
+
+function sse(event) {
+    return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+test('SSE: 跨分片的行和多字节字符，最后一行没有换行符也会解析', async (t) => {
+    const { stream, requests } = mockStreamResponse(t);
+    const provider = new OpenAICompatibleProvider('test', { apiKey: 'key' });
+    const deltas = [];
+
+    const pending = provider.chatStream({ messages: [{ role: 'user', content: '你好' }] }, async (delta) => { deltas.push(delta); });
+
+    const first = Buffer.from(sse({ choices: [{ delta: { content: '你好' } }] }));
+    // 把“你”的三个字节拆到两个分片里
+    stream.write(first.subarray(0, 30));
+    stream.write(first.subarray(30));
+    stream.write(sse({ choices: [{ delta: { content: '，世界' }, finish_reason: 'stop' }] }));
+    stream.end(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 } })}`);
+
+    const result = await pending;
+    assert.deepEqual(deltas, ['你好', '，世界']);
+    assert.equal(result.finished, true);
+    assert.deepEqual(result.usage, { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 });
+    assert.equal(requests[0].body.stream, true);
+});
+
+test('SSE: 中途不再发送数据时断开连接并抛出超时错误', async (t) => {
+    const { stream } = mockStreamResponse(t);
+    const provider = new OpenAICompatibleProvider('test', { streamIdleTimeoutMs: 50 });
+    const deltas = [];
+
+    const pending = provider.chatStream({ messages: [{ role: 'user', content: 'hi' }] }, async (delta) => { deltas.push(delta); });
+    stream.write(sse({ choices: [{ delta: { content: '一半' } }] }));
+
+    await assert.rejects(pending, (error) => error instanceof LLMError && error.code === 'timeout');
+    assert.deepEqual(deltas, ['一半']);
+    assert.equal(stream.destroyed, true);
+});
+
+test('SSE: 回调处理较慢时不算作无数据', async (t) => {
+    const { stream } = mockStreamResponse(t);
+    const provider = new OpenAICompatibleProvider('test', { streamIdleTimeoutMs: 50 });
+
+    const pending = provider.chatStream({ messages: [{ role: 'user', content: 'hi' }] }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 120));
+    });
+    stream.write(sse({ choices: [{ delta: { content: '慢' } }] }));
+    setTimeout(() => stream.end('data: [DONE]\n'), 130);
+
+    const result = await pending;
+    assert.equal(result.finished, true);
+});
+
+test('Ollama: 最后一行没有换行符也会解析，无数据时超时', async (t) => {
+    const { stream } = mockStreamResponse(t);
+    const provider = new OllamaProvider('local', { streamIdleTimeoutMs: 50 });
+    const deltas = [];
+
+    const pending = provider.chatStream({ messages: [{ role: 'user', content: 'hi' }] }, async (delta) => { deltas.push(delta); });
+    stream.write(`${JSON.stringify({ message: { content: '你好' }, done: false })}\n`);
+    stream.end(JSON.stringify({ message: { content: '' }, done: true, prompt_eval_count: 2, eval_count: 1 }));
+
+    const result = await pending;
+    assert.deepEqual(deltas, ['你好']);
+    assert.equal(result.finished, true);
+    assert.deepEqual(result.usage, { prompt_tokens: 2, completion_tokens: 1, total_tokens: 3 });
+
+    const stalled = mockStreamResponse(t);
+    await assert.rejects(provider.chatStream({ messages: [] }, async () => {}), (error) => error.code === 'timeout');
+    assert.equal(stalled.stream.destroyed, true);
+});
+
+test('SSE: 分段到达的工具调用在结束时拼接返回', async (t) => {
+    const { stream, requests } = mockStreamResponse(t);
+    const provider = new OpenAICompatibleProvider('test', {});
+    const tools = [{ name: 'search_mod', description: '搜索', parameters: { type: 'object' } }];
+
+    const pending = provider.chatStream({ messages: [{ role: 'user', content: '查一下机械动力' }], tools }, async () => {});
+    stream.write(sse({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'search_mod', arguments: '' } }] } }] }));
+    stream.write(sse({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"query":' } }] } }] }));
+    stream.write(sse({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"机械动力"}' } }] } }] }));
+    stream.end(sse({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] }) + 'data: [DONE]\n');
+
+    const result = await pending;
+    assert.equal(result.finished, true);
+    assert.deepEqual(result.toolCalls, [{ id: 'call_a', name: 'search_mod', arguments: { query: '机械动力' } }]);
+    assert.equal(requests[0].body.tools[0].function.name, 'search_mod');
+});
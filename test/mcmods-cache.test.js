@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ModPlugin = require('../MC百科搜索工具/mcmods');
+
+function setup(t, pages) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcmods-test-'));
+    const plugin = new ModPlugin({ callApi: async () => ({}) });
+    plugin.cache.filePath = path.join(dir, 'mod_cache.json');
+
+    const originalGet = axios.get;
+    const requests = [];
+    axios.get = async (url) => {
+        requests.push(url);
+        return { data: pages.shift() };
+    };
+    t.after(() => {
+        axios.get = originalGet;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { plugin, requests };
+}
+
+test('fetchModDetail: 没有解析出名称时不缓存，下次重新获取', async (t) => {
+    const url = 'https://www.mcmod.cn/class/2021.html';
+    const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'mcmod', 'class-create.html'), 'utf8');
+    const { plugin, requests } = setup(t, ['<html><body><p>访问过于频繁</p></body></html>', page]);
+
+    assert.equal((await plugin.fetchModDetail(url)).name, '');
+    assert.equal(plugin.cache.entries.size, 0);
+
+    assert.equal((await plugin.fetchModDetail(url)).name, '机械动力');
+    assert.equal((await plugin.fetchModDetail(url)).name, '机械动力');
+    assert.equal(requests.length, 2);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseModPage, isModPageUrl, normalizeLoader } = require('../MC百科搜索工具/mod-page-parser');
+
+// 保存的 mcmod.cn 模组页面
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'mcmod', name), 'utf8');
+}
+
+test('完整页面: 名称、各加载器版本、作者、前置、标签和链接', () => {
+    const detail = parseModPage(loadFixture('class-create.html'), 'https://www.mcmod.cn/class/2021.html');
+
+    assert.equal(detail.url, 'https://www.mcmod.cn/class/2021.html');
+    assert.equal(detail.name, '机械动力');
+    assert.equal(detail.englishName, 'Create');
+    assert.equal(detail.shortName, 'Create');
+
+    assert.deepEqual(detail.versions, {
+        NeoForge: ['1.21.1'],
+        Forge: ['1.20.1', '1.19.2', '1.18.2'],
+        Fabric: ['1.20.1', '1.19.x']
+    });
+    assert.deepEqual(detail.mcVersions, ['1.21.1', '1.20.1', '1.19.2', '1.18.2', '1.19.x']);
+    assert.deepEqual(detail.loaders, ['NeoForge', 'Forge', 'Fabric']);
+
+    // 同一作者出现多次时只保留第一次
+    assert.deepEqual(detail.authors, [
+        { name: 'simibubi', role: '项目负责人/开发者' },
+        { name: 'Kryppers', role: '美术' }
+    ]);
+
+    assert.deepEqual(detail.dependencies, [
+        { title: 'Flywheel', url: 'https://www.mcmod.cn/class/5039.html' },
+        { title: 'Fabric API', url: 'https://www.mcmod.cn/class/3685.html' }
+    ]);
+    assert.deepEqual(detail.relations, [{ title: 'JEI物品管理器', url: 'https://www.mcmod.cn/class/2.html' }]);
+    assert.deepEqual(detail.incompatibilities, []);
+
+    assert.deepEqual(detail.tags, ['科技', '装饰', '机械']);
+    assert.deepEqual(detail.links, [
+        { title: 'GitHub', url: 'https://link.mcmod.cn/target/aHR0cHM6Ly9naXRodWIuY29t' },
+        { title: 'CurseForge', url: 'https://www.curseforge.com/minecraft/mc-mods/create' },
+        { title: '官方Wiki', url: 'https://www.mcmod.cn/post/123.html' }
+    ]);
+    assert.equal(detail.summary, '机械动力是一个关于旋转动力和自动化的模组， 提供了各种动态的机械结构。');
+});
+
+test('作者列表的另一种写法、全角冒号、非版本号的项和冲突模组', () => {
+    const detail = parseModPage(loadFixture('class-sodium.html'));
+
+    assert.equal(detail.name, '钠');
+    assert.equal(detail.englishName, 'Sodium');
+    assert.equal(detail.shortName, '');
+    assert.deepEqual(detail.versions, { Fabric: ['1.21.1', '1.20.1'], Quilt: ['1.20.1'] });
+    assert.deepEqual(detail.authors, [{ name: 'JellySquid', role: '' }]);
+    assert.deepEqual(detail.dependencies, []);
+    assert.deepEqual(detail.incompatibilities, [{ title: '高清修复', url: 'https://www.mcmod.cn/class/36.html' }]);
+    assert.deepEqual(detail.tags, ['性能优化']);
+    assert.deepEqual(detail.links, []);
+});
+
+test('缺少大部分区块的页面: 名称取自标题，加载器取自基本信息，其余为空', () => {
+    const detail = parseModPage(loadFixture('class-minimal.html'));
+
+    assert.equal(detail.name, '旅行地图');
+    assert.equal(detail.englishName, 'JourneyMap');
+    assert.equal(detail.shortName, '');
+    assert.deepEqual(detail.versions, {});
+    assert.deepEqual(detail.mcVersions, []);
+    assert.deepEqual(detail.loaders, ['Forge']);
+    assert.deepEqual(detail.authors, []);
+    assert.deepEqual(detail.dependencies, []);
+    assert.deepEqual(detail.relations, []);
+    assert.deepEqual(detail.tags, []);
+    assert.deepEqual(detail.links, []);
+    assert.equal(detail.summary, '');
+});
+
+test('不是模组页面时名称为空', () => {
+    const detail = parseModPage('<html><body><p>访问过于频繁</p></body></html>');
+    assert.equal(detail.name, '');
+    assert.deepEqual(detail.versions, {});
+});
+
+test('isModPageUrl 和 normalizeLoader', () => {
+    assert.equal(isModPageUrl('https://www.mcmod.cn/class/2021.html'), true);
+    assert.equal(isModPageUrl('https://www.mcmod.cn/item/1.html'), false);
+    assert.equal(normalizeLoader('NeoForge：'), 'NeoForge');
+    assert.equal(normalizeLoader('fabric'), 'Fabric');
+    assert.equal(normalizeLoader('Bukkit:'), 'Bukkit');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimiter = require('../common/rate-limiter');
+const { createPlugin } = require('./helpers/deepseek-plugin');
+
+function readUsage(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).usage;
+}
+
+test('累计用量合并后延迟保存，flush 立即写入', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const limiter = new RateLimiter('test', path.join(dir, 'quota.json'));
+    limiter.flushDelayMs = 30;
+    limiter.load();
+
+    limiter.addTokens('20001', '10001', 10);
+    limiter.addTokens('20001', '10001', 5);
+    assert.deepEqual(readUsage(limiter.filePath).users, {});
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepEqual(readUsage(limiter.filePath).users, { 20001: 15 });
+    assert.equal(limiter.dirty, false);
+
+    limiter.flushDelayMs = 60000;
+    limiter.addTokens('20002', null, 7);
+    limiter.flush();
+    assert.equal(readUsage(limiter.filePath).users['20002'], 7);
+    assert.equal(limiter.flushTimer, null);
+});
+
+test('插件卸载时写入未保存的用量', async (t) => {
+    const { plugin, cleanup } = createPlugin();
+    t.after(cleanup);
+    plugin.rateLimiter.load();
+
+    plugin.rateLimiter.addTokens('20001', '10001', 42);
+    await plugin.destroy();
+    assert.equal(readUsage(plugin.rateLimiter.filePath).groups['10001'], 42);
+});
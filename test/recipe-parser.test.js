@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseItemRecipes } = require('../MC百科搜索工具/recipe-parser');
+
+// 保存的 mcmod.cn 物品页面
+const recipes = parseItemRecipes(fs.readFileSync(path.join(__dirname, 'fixtures', 'mcmod', 'item-press.html'), 'utf8'));
+
+test('空的合成表被跳过', () => {
+    assert.equal(recipes.length, 5);
+});
+
+test('有序合成: 按坐标还原网格，保留空格子，箭头右侧的格子为产物', () => {
+    const [recipe] = recipes;
+    assert.deepEqual(recipe.grid, [
+        ['传动杆', '传动杆', '传动杆'],
+        ['安山机壳', null, '安山机壳'],
+        [null, '铁块', null]
+    ]);
+    assert.deepEqual(recipe.inputs, [
+        { name: '传动杆', count: 3 },
+        { name: '安山机壳', count: 2 },
+        { name: '铁块', count: 1 }
+    ]);
+    assert.deepEqual(recipe.outputs, [{ name: '动力辊压机', count: 1 }]);
+});
+
+test('熔炉: 纵向间距决定格子大小，产物数量取自格子', () => {
+    const recipe = recipes[1];
+    assert.deepEqual(recipe.inputs, [{ name: '粉碎铁矿石', count: 1 }, { name: '煤炭', count: 1 }]);
+    assert.deepEqual(recipe.outputs, [{ name: '铁锭', count: 2 }]);
+});
+
+test('两个相邻的无序合成材料都视为材料', () => {
+    const recipe = recipes[2];
+    assert.deepEqual(recipe.inputs, [{ name: '安山机壳', count: 1 }, { name: '传动杆', count: 1 }]);
+    assert.deepEqual(recipe.outputs, []);
+});
+
+test('页面标明的产物格子和没有坐标的旧版页面', () => {
+    assert.deepEqual(recipes[3].inputs, [{ name: '铁锭', count: 1 }]);
+    assert.deepEqual(recipes[3].outputs, [{ name: '铁板', count: 1 }]);
+    // 单个材料格子不画网格
+    assert.deepEqual(recipes[3].grid, []);
+
+    assert.deepEqual(recipes[4].inputs, [{ name: '铁锭', count: 4 }]);
+    assert.deepEqual(recipes[4].outputs, [{ name: '铁块', count: 1 }]);
+    assert.deepEqual(recipes[4].grid, []);
+});
+
+test('设备和备注: 使用设备的写法、设备链接，备注中去掉设备', () => {
+    assert.equal(recipes[0].machine, '工作台');
+    assert.equal(recipes[0].notes, '在 1.20.1 版本中的配方');
+    assert.equal(recipes[1].machine, '熔炉');
+    assert.equal(recipes[1].notes, '熔炉 烧炼，每个产出 0.7 经验');
+    assert.equal(recipes[2].machine, '');
+    assert.equal(recipes[2].notes, '无序合成');
+    assert.equal(recipes[3].machine, '动力辊压机');
+    assert.equal(recipes[3].notes, '需要下方有传送带或置物台');
+    assert.equal(recipes[4].notes, '');
+});
+
+test('不是物品页面时返回空数组', () => {
+    assert.deepEqual(parseItemRecipes('<html><body><p>访问过于频繁</p></body></html>'), []);
+});
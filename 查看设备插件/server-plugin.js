@@ -4,6 +4,7 @@
  */
 const os = require('os');
 const process = require('process');
+const toolRegistry = require('../common/tool-registry');
 
 class ServerInfoPlugin {
     constructor(client) {
@@ -19,9 +20,26 @@ class ServerInfoPlugin {
      * 插件初始化方法
      */
     async init() {
+        // 注册AI助手可调用的工具
+        toolRegistry.register({
+            name: 'get_server_status',
+            description: '查询机器人所在服务器的运行状态，包括系统信息、内存占用和运行时长（内存单位为字节，时长单位为毫秒）',
+            parameters: { type: 'object', properties: {} },
+            owner: this.name,
+            handler: async () => this.getServerInfo()
+        });
+        
         console.log(`[${this.name}] 插件初始化完成`);
     }
     
+    /**
+     * 插件卸载方法，用于清理资源
+     */
+    async destroy() {
+        toolRegistry.unregisterOwner(this.name);
+        console.log(`[${this.name}] 插件已卸载`);
+    }
+    
     /**
      * 获取服务器信息
      * @returns {Object} 服务器信息对象
@@ -11,6 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const toolRegistry = require('../common/tool-registry');
 
 class GroupMonitorPlugin {
     constructor(client) {
@@ -72,6 +73,15 @@ class GroupMonitorPlugin {
             this.saveStatsData();
         }, 10 * 60 * 1000); // 10分钟 = 600000毫秒
         
+        // 注册AI助手可调用的工具，只能查询提问所在群的数据
+        toolRegistry.register({
+            name: 'get_group_stats',
+            description: '查询当前群的成员变动统计（加群、退群、加群申请数量）',
+            parameters: { type: 'object', properties: {} },
+            owner: this.name,
+            handler: async (args, context) => this.getGroupStatsForTool(context.groupId)
+        });
+        
         console.log(`[${this.name}] 插件初始化完成，已设置过期请求清理定时器和数据保存定时器`);
     }
     
@@ -82,6 +92,9 @@ class GroupMonitorPlugin {
         // 保存数据
         this.saveStatsData();
         
+        // 注销工具
+        toolRegistry.unregisterOwner(this.name);
+        
         // 清除定时器
         if (this.cleanTimer) {
             clearInterval(this.cleanTimer);
@@ -888,6 +901,27 @@ class GroupMonitorPlugin {
         }
     }
     
+    /**
+     * 获取提供给AI工具的群统计数据
+     * @param {number|string|null} groupId 群号
+     * @returns {Object} 当前群的统计数据，不包含其他群和全局的数据
+     */
+    getGroupStatsForTool(groupId) {
+        if (!groupId) {
+            throw new Error('只能在群聊中查询群成员变动统计');
+        }
+        
+        this.ensureGroupStats(groupId);
+        const stats = this.stats.groups[String(groupId)];
+        return {
+            groupId: String(groupId),
+            join: stats.join,
+            leave: stats.leave,
+            requests: stats.requests,
+            netGrowth: (stats.join.approve + stats.join.invite) - (stats.leave.active + stats.leave.kick)
+        };
+    }
+    
     /**
      * 确保群统计数据存在
      * @param {number|string} groupId 群号